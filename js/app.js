@@ -1,8 +1,53 @@
-import { loadData } from "./data.js";
+import { loadData, loadManifest } from "./data.js";
 import { PlanManager } from "./logic.js";
-import { t, currentLang, toggleLang } from "./i18n.js";
+import {
+  loadLastProgramme,
+  saveLastProgramme,
+  loadProgrammeState,
+  loadRawProgrammeState,
+  saveProgrammeState,
+  createScenario,
+  loadFilters,
+  saveFilters,
+} from "./storage.js";
+import { compareScenarios, compareCurricula } from "./compare.js";
+import { buildShareUrl, readSharedPlan, restoreSharedPlan } from "./share.js";
+import { createBackup, previewImport, buildImportedPlan } from "./importer.js";
+import { findAvailabilityIssues } from "./availability.js";
+import { WEEKDAYS, formatTime } from "./timetable.js";
+import { createPreferences, findCompletions } from "./completion.js";
+import { STATUSES, getGrading, formatGrade, parseGrade } from "./progress.js";
+import { buildReport, renderReport } from "./report.js";
+import { buildICS } from "./ical.js";
+import { buildSubmission, formatChecklist } from "./submission.js";
+import {
+  listTemplates,
+  describeTemplate,
+  buildTemplatePlan,
+} from "./templates.js";
+import { createSearchIndex, searchExams, splitHighlights } from "./search.js";
+import {
+  createFilters,
+  normalizeFilters,
+  countActiveFilters,
+  matchesFilters,
+  getFacetCounts,
+  getStatusCounts,
+  decodeFilters,
+  withFilters,
+} from "./filters.js";
+import { t, currentLang, toggleLang, localize, messages } from "./i18n.js";
 
-const { createApp, ref, computed, reactive, onMounted, watch } = Vue;
+const {
+  createApp,
+  ref,
+  shallowRef,
+  computed,
+  reactive,
+  onMounted,
+  watch,
+  toRaw,
+} = Vue;
 
 createApp({
   /**
@@ -12,8 +57,11 @@ createApp({
   setup() {
     const loading = ref(true);
     const initialized = ref(false);
-    const data = ref({ exams: [], rules: null });
+    const data = ref({ exams: [], rules: null, templates: [], calendar: {} });
+    const manifest = ref({ default: null, programmes: [] });
     const pm = ref(null); // PlanManager instance
+    const shared = shallowRef(null); // Shared plan opened from a link
+    const reportFrame = ref(null); // Frame showing the printable report
 
     // Re-validate when language changes so messages update
     watch(currentLang, () => {
@@ -24,6 +72,7 @@ createApp({
     const academicYearDefault = `${currentYear - 1}/${currentYear}`;
 
     const state = reactive({
+      programme: null,
       year: academicYearDefault,
       curriculum: "FBA",
       plan: [],
@@ -31,8 +80,49 @@ createApp({
       newExamName: "",
       newExamCFU: 6,
       searchQuery: "",
+      openNote: null,
+      scenarios: [],
+      activeScenario: null,
+      showCompare: false,
+      showCurriculumCompare: false,
+      compareIds: [],
+      toast: "",
+      importPreview: null,
+      icsExport: null,
+      restoreNotice: null,
+      storageError: null,
+      duration: 2,
+      showTimeline: false,
+      showWeek: false,
+      weekSlot: { year: 1, period: 1 },
+      hoveredExam: null,
+      filters: normalizeFilters(decodeFilters(location.hash) || loadFilters()),
+      showFilters: false,
+      showCompletion: false,
+      completionPrefs: createPreferences(),
+      completions: [],
+      showTemplates: false,
+      templateChoices: {},
+      showReport: false,
+      showSubmission: false,
+      submissionDone: {},
     });
 
+    /**
+     * Computed property for the manifest entry of the selected programme.
+     */
+    const programme = computed(
+      () =>
+        manifest.value.programmes.find((p) => p.id === state.programme) || null,
+    );
+
+    /**
+     * Computed property for the localized title of the selected programme.
+     */
+    const programmeTitle = computed(() =>
+      programme.value ? localize(programme.value.title) : "",
+    );
+
     /**
      * Computed property for pillars list derived from loaded exams.
      */
@@ -44,19 +134,89 @@ createApp({
       return Array.from(p).sort();
     });
 
+    /**
+     * Computed property for the plan-dependent checks of the matrix filters.
+     */
+    const filterContext = computed(() => {
+      const inPlan = new Set(state.plan.map((p) => p.examId));
+      return {
+        isInPlan: (exam) => inPlan.has(exam.id),
+        isAvailableNow: (exam) =>
+          !!pm.value && pm.value.isExamAvailable(exam, state.year),
+        getAllowedTables: (exam) =>
+          pm.value ? pm.value.getAllowedTables(exam) : [],
+      };
+    });
+
+    /**
+     * Computed property for the tables an exam can be eligible for in the curriculum.
+     */
+    const eligibleTables = computed(() => {
+      const program = programs.value[state.curriculum];
+      return program ? program.assignment_priority : [];
+    });
+
+    /**
+     * Computed property for the number of active matrix filters.
+     */
+    const activeFilterCount = computed(() => countActiveFilters(state.filters));
+
+    /**
+     * Computed property for the values of every facet with their result counts.
+     */
+    const facetCounts = computed(() =>
+      getFacetCounts(
+        data.value.exams || [],
+        state.filters,
+        filterContext.value,
+      ),
+    );
+
+    /**
+     * Computed property for the result counts of the plan status filters.
+     */
+    const statusCounts = computed(() =>
+      getStatusCounts(
+        data.value.exams || [],
+        state.filters,
+        filterContext.value,
+        eligibleTables.value,
+      ),
+    );
+
+    /**
+     * Computed property for the search index of the catalog.
+     */
+    const searchIndex = computed(() =>
+      createSearchIndex(data.value.exams || []),
+    );
+
+    /**
+     * Computed property for the exams matching the search query, by id.
+     * Null when the query is empty.
+     */
+    const searchResults = computed(() =>
+      searchExams(searchIndex.value, state.searchQuery),
+    );
+
     /**
      * Computed property for the exam matrix, grouped by pillar, subpillar, and period.
-     * Filters exams based on the search query.
+     * Filters exams based on the search query and the facet filters. While
+     * searching, the best matches come first.
      */
     const matrix = computed(() => {
       if (!data.value.exams) return [];
 
       const pMap = {};
-      const query = state.searchQuery.toLowerCase().trim();
+      const results = searchResults.value;
+      const scoreOf = (e) => (results ? results.get(e.id).score : 0);
 
       // Filter exams before grouping
       const filteredExams = data.value.exams.filter((e) => {
-        return e.name.toLowerCase().includes(query);
+        return (
+          (!results || results.has(e.id)) &&
+          matchesFilters(e, state.filters, filterContext.value)
+        );
       });
 
       filteredExams.forEach((e) => {
@@ -69,32 +229,84 @@ createApp({
         pMap[pName][sName][e.period].push(e);
       });
 
+      // Best score of a group of exams, to rank groups while searching
+      const bestOf = (exams) => Math.max(0, ...exams.map(scoreOf));
+      const subExams = (pName, sName) =>
+        [1, 2, 3].flatMap((pId) => pMap[pName][sName][pId]);
+      const pillarExams = (pName) =>
+        Object.keys(pMap[pName]).flatMap((sName) => subExams(pName, sName));
+
       return Object.keys(pMap)
-        .sort()
+        .sort(
+          (a, b) =>
+            bestOf(pillarExams(b)) - bestOf(pillarExams(a)) ||
+            a.localeCompare(b),
+        )
         .map((pName) => ({
           name: pName,
           subpillars: Object.keys(pMap[pName])
-            .sort()
+            .sort(
+              (a, b) =>
+                bestOf(subExams(pName, b)) - bestOf(subExams(pName, a)) ||
+                a.localeCompare(b),
+            )
             .map((sName) => ({
               name: sName,
               periods: [1, 2, 3].map((pId) => ({
                 id: pId,
-                exams: pMap[pName][sName][pId].sort((a, b) =>
-                  a.name.localeCompare(b.name),
+                exams: pMap[pName][sName][pId].sort(
+                  (a, b) =>
+                    scoreOf(b) - scoreOf(a) || a.name.localeCompare(b.name),
                 ),
               })),
             })),
         }));
     });
 
+    /**
+     * Gets the parts of an exam matched by the search query, for highlighting.
+     * @param {Object} exam - The exam object.
+     * @returns {{name: Array<Object>, others: Array<Object>}} The parts of the
+     *   name, and the other matched fields (alias, subpillar, SSD) with theirs.
+     */
+    function getSearchHighlights(exam) {
+      const result = searchResults.value && searchResults.value.get(exam.id);
+      const highlights = result ? result.highlights : [];
+      const name = highlights.find((h) => h.key === "name");
+      return {
+        name: name
+          ? splitHighlights(exam.name, name.ranges)
+          : [{ text: exam.name, match: false }],
+        others: highlights
+          .filter((h) => h.key !== "name")
+          .map((h) => ({
+            key: h.key,
+            parts: splitHighlights(h.text, h.ranges),
+          })),
+      };
+    }
+
+    /**
+     * Computed property for the catalog exams whose availability cannot be parsed.
+     */
+    const availabilityIssues = computed(() =>
+      findAvailabilityIssues(data.value.exams || []),
+    );
+
+    /**
+     * Computed property for the curricula defined in the rules.
+     */
+    const programs = computed(() => {
+      if (!data.value.rules) return {};
+      return data.value.rules.degree_requirements.programs;
+    });
+
     /**
      * Computed property for the table headers based on curriculum.
      */
     const sortedTables = computed(() => {
-      if (state.curriculum === "FBA") {
-        return ["Obbligatori", "1", "2", "Facoltativi", "Fuori Piano"];
-      }
-      return ["Obbligatori", "A", "B", "C", "Facoltativi", "Fuori Piano"];
+      const program = programs.value[state.curriculum];
+      return program ? program.display_order : [];
     });
 
     /**
@@ -111,6 +323,297 @@ createApp({
       return groups;
     });
 
+    /**
+     * Computed property for the timeline of the plan, by year and period.
+     */
+    const timeline = computed(() => {
+      if (!pm.value || state.plan.length === 0) return null;
+      return pm.value.getTimeline();
+    });
+
+    /**
+     * Computed property for the progress of the student: credits earned,
+     * weighted average and estimated starting graduation score.
+     */
+    const progress = computed(() => {
+      if (!pm.value || state.plan.length === 0) return null;
+      return pm.value.getProgress();
+    });
+
+    /**
+     * Computed property for the grades that can be recorded, highest first,
+     * with honors (e.g. "30L") on top.
+     */
+    const gradeOptions = computed(() => {
+      if (!data.value.rules) return [];
+      const grading = getGrading(data.value.rules);
+      const grades = [grading.max_grade + "L"];
+      for (let g = grading.max_grade; g >= grading.min_grade; g--) {
+        grades.push(String(g));
+      }
+      return grades;
+    });
+
+    /**
+     * Computed property telling whether the programme has a lesson timetable.
+     */
+    const hasTimetable = computed(() =>
+      (data.value.exams || []).some((e) => e.lessons),
+    );
+
+    /**
+     * Computed property for the weekly calendar of the selected year and period:
+     * one column per weekday with the lessons of the plan items scheduled there.
+     */
+    const weekCalendar = computed(() => {
+      if (!pm.value || !hasTimetable.value) return [];
+      const { year, period } = state.weekSlot;
+      const clashing = new Set();
+      pm.value.findTimetableClashes().forEach((clash) => {
+        clashing.add(clash.a.id);
+        clashing.add(clash.b.id);
+      });
+
+      return WEEKDAYS.map((day) => ({
+        day,
+        lessons: state.plan
+          .filter(
+            (item) =>
+              item.slot &&
+              item.slot.year === year &&
+              item.slot.period === period,
+          )
+          .flatMap((item) =>
+            pm.value
+              .getItemLessons(item)
+              .filter((l) => l.day === day)
+              .map((l) => ({
+                item,
+                start: l.start,
+                end: l.end,
+                label: `${formatTime(l.start)}–${formatTime(l.end)}`,
+                clash: clashing.has(item.id),
+              })),
+          ),
+      }));
+    });
+
+    /**
+     * Computed property for the exams related to the hovered matrix card.
+     */
+    const hoveredRelations = computed(() => {
+      if (!pm.value || !state.hoveredExam) return null;
+      return pm.value.getRelatedExamIds(state.hoveredExam);
+    });
+
+    /**
+     * Computed property for the what-if preview of the hovered or focused
+     * matrix card: adding the exam, or removing it if already in the plan.
+     */
+    const preview = computed(() => {
+      const exam = state.hoveredExam;
+      if (!pm.value || !exam || state.plan.length === 0) return null;
+      const item = state.plan.find((p) => p.examId === exam.id);
+      const delta = item
+        ? pm.value.simulate({ type: "remove", planItemId: item.id })
+        : pm.value.simulate({ type: "add", exam });
+      return delta ? { exam, ...delta } : null;
+    });
+
+    /**
+     * Gets the change the previewed action would make to a credit count.
+     * @param {string} kind - "total", "table" or "rule".
+     * @param {string} key - The table, or the label of the sum rule.
+     * @returns {{before: number, after: number}|null} The change, or null if
+     *   there is no preview or the count would not change.
+     */
+    function getPreviewChange(kind, key = null) {
+      if (!preview.value) return null;
+      let change = preview.value.totalCredits;
+      if (kind === "table") change = preview.value.tables[key];
+      if (kind === "rule") {
+        change = preview.value.specialRules.find((r) => r.label === key);
+      }
+      return change && change.before !== change.after ? change : null;
+    }
+
+    /**
+     * Gets the position of the segment a previewed change adds to or removes
+     * from a progress bar.
+     * @param {{before: number, after: number}} change - The change.
+     * @param {number} target - The credits filling the bar.
+     * @returns {Object} The style of the segment.
+     */
+    function getPreviewSegment(change, target) {
+      const percent = (value) => Math.min((value / target) * 100, 100);
+      const from = percent(Math.min(change.before, change.after));
+      const to = percent(Math.max(change.before, change.after));
+      return { left: from + "%", width: to - from + "%" };
+    }
+
+    /**
+     * Computed property for the exams excluded from the plan completions.
+     */
+    const excludedExams = computed(() =>
+      state.completionPrefs.exclude
+        .map((id) => data.value.exams.find((e) => e.id === id))
+        .filter((exam) => exam),
+    );
+
+    /**
+     * Opens the plan completion assistant.
+     */
+    function openCompletion() {
+      state.showCompletion = true;
+      updateCompletions();
+    }
+
+    /**
+     * Searches the completions of the plan matching the current preferences.
+     * The search runs on the raw plan manager, as it simulates many plans.
+     */
+    function updateCompletions() {
+      state.completions = findCompletions(
+        toRaw(pm.value),
+        toRaw(state.completionPrefs),
+        3,
+      );
+    }
+
+    /**
+     * Toggles a value of a list preference of the completion assistant.
+     * @param {string} key - The preference ("pillars", "avoidPeriods" or "exclude").
+     * @param {*} value - The value.
+     */
+    function toggleCompletionPref(key, value) {
+      const values = state.completionPrefs[key];
+      const index = values.indexOf(value);
+      if (index === -1) values.push(value);
+      else values.splice(index, 1);
+      updateCompletions();
+    }
+
+    /**
+     * Adds the exams of a completion proposal to the plan.
+     * @param {Object} proposal - Proposal from the completion assistant.
+     */
+    function applyCompletion(proposal) {
+      proposal.exams.forEach((exam) => pm.value.addExam(exam));
+      refreshState();
+      state.showCompletion = false;
+      showToast(t("completion_applied", { count: proposal.exams.length }));
+    }
+
+    /**
+     * Computed property telling whether the programme has track templates for
+     * the curriculum.
+     */
+    const hasTemplates = computed(
+      () => listTemplates(data.value.templates, state.curriculum).length > 0,
+    );
+
+    /**
+     * Computed property telling whether the programme has an academic
+     * calendar, needed by the iCalendar export.
+     */
+    const hasCalendar = computed(
+      () => Object.keys(data.value.calendar || {}).length > 0,
+    );
+
+    /**
+     * Computed property for the track templates of the curriculum, with the
+     * template exams that are not offered in the years of the plan.
+     */
+    const templateGallery = computed(() => {
+      if (!state.showTemplates || !pm.value) return [];
+      return listTemplates(data.value.templates, state.curriculum).map(
+        (template) => describeTemplate(template, pm.value),
+      );
+    });
+
+    /**
+     * Opens the template gallery.
+     */
+    function openTemplates() {
+      state.templateChoices = {};
+      state.showTemplates = true;
+    }
+
+    /**
+     * Gets the substitute chosen for an unavailable template exam; the first
+     * suggestion unless the student picked another one.
+     * @param {Object} description - Template description from the gallery.
+     * @param {Object} entry - The unavailable exam entry.
+     * @returns {string} The id of the substitute, or "" to leave the exam out.
+     */
+    function getTemplateChoice(description, entry) {
+      const choices = state.templateChoices[description.template.id] || {};
+      if (entry.id in choices) return choices[entry.id];
+      return entry.substitutes.length > 0 ? entry.substitutes[0].id : "";
+    }
+
+    /**
+     * Picks the substitute of an unavailable template exam.
+     * @param {Object} description - Template description from the gallery.
+     * @param {Object} entry - The unavailable exam entry.
+     * @param {string} examId - The id of the substitute, or "" to leave the exam out.
+     */
+    function setTemplateChoice(description, entry, examId) {
+      const id = description.template.id;
+      state.templateChoices[id] = {
+        ...state.templateChoices[id],
+        [entry.id]: examId,
+      };
+    }
+
+    /**
+     * Builds the plan of a template in a new scenario and switches to it,
+     * leaving the current plan untouched.
+     * @param {Object} description - Template description from the gallery.
+     */
+    function applyTemplate(description) {
+      const substitutions = {};
+      description.entries
+        .filter((entry) => !entry.available)
+        .forEach((entry) => {
+          substitutions[entry.id] = getTemplateChoice(description, entry);
+        });
+      const { plan, report } = buildTemplatePlan(description, substitutions, {
+        exams: data.value.exams,
+        rules: data.value.rules,
+        t,
+        year: state.year,
+        curriculum: state.curriculum,
+        duration: state.duration,
+      });
+
+      const name = localize(description.template.title);
+      const scenario = createScenario(name, {
+        year: state.year,
+        curriculum: state.curriculum,
+        plan,
+        duration: state.duration,
+      });
+      state.scenarios.push(scenario);
+      applyScenario(scenario);
+      state.showTemplates = false;
+      showToast(
+        t(report.isValid ? "template_applied" : "template_applied_incomplete", {
+          name,
+        }),
+      );
+    }
+
+    /**
+     * Computed property for the selectable plan durations, in years.
+     */
+    const durationOptions = computed(() => {
+      if (!pm.value) return [];
+      const min = pm.value.getMinDuration();
+      const max = pm.value.getMaxDuration();
+      return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    });
+
     /**
      * Computed property for generating a list of academic years.
      */
@@ -128,36 +631,123 @@ createApp({
 
     // Initialize
     onMounted(async () => {
-      const loaded = await loadData();
-      data.value = loaded;
+      manifest.value = await loadManifest();
+      const lastProgramme = loadLastProgramme();
+      const known = manifest.value.programmes.some(
+        (p) => p.id === lastProgramme,
+      );
+      initialized.value = await loadProgramme(
+        known ? lastProgramme : manifest.value.default,
+      );
+      await openSharedLink();
+      loading.value = false;
 
-      // Restore from LS or defaults
-      const savedState = localStorage.getItem("studyPlanState");
+      window.addEventListener("hashchange", () => {
+        const filters = decodeFilters(location.hash);
+        if (filters) state.filters = filters;
+        openSharedLink();
+      });
+    });
+
+    /**
+     * Loads the catalog and rules of a programme and restores its saved plans.
+     * @param {string} programmeId - The programme id from the manifest.
+     * @returns {Promise<boolean>} True if a saved plan was restored.
+     */
+    async function loadProgramme(programmeId) {
+      const entry =
+        manifest.value.programmes.find((p) => p.id === programmeId) ||
+        manifest.value.programmes[0];
+      state.programme = entry.id;
+      saveLastProgramme(entry.id);
+
+      const loaded = await loadData(entry);
+      data.value = loaded;
       pm.value = new PlanManager(loaded.exams, loaded.rules, t);
+      if (!programs.value[state.curriculum]) {
+        state.curriculum = Object.keys(programs.value)[0];
+      }
 
-      if (savedState) {
-        try {
-          const parsed = JSON.parse(savedState);
-          pm.value.setYear(parsed.year);
-          pm.value.setCurriculum(parsed.curriculum);
-          pm.value.plan = parsed.plan; // Restore plan items
-
-          // Update reactive state
-          state.year = parsed.year;
-          state.curriculum = parsed.curriculum;
-
-          initialized.value = true;
-        } catch (e) {
-          console.error("Failed to restore state", e);
-          pm.value.initDefaults();
-        }
+      // Restore from LS or defaults. Plans saved before programmes existed
+      // belong to the default programme.
+      const readLegacy = entry.id === manifest.value.default;
+      let saved = null;
+      state.storageError = null;
+      try {
+        saved = loadProgrammeState(entry.id, {
+          readLegacy,
+          defaultName: t("default_scenario_name"),
+        });
+      } catch (e) {
+        // Keep the unreadable plans: nothing is saved until the user resets
+        console.error("Failed to restore state", e);
+        state.storageError = {
+          message: e.message,
+          raw: loadRawProgrammeState(entry.id, readLegacy),
+        };
+      }
+
+      if (saved) {
+        state.scenarios = saved.scenarios;
+        applyScenario(
+          saved.scenarios.find((s) => s.id === saved.activeScenario),
+        );
+        return true;
+      }
+
+      const scenario = createScenario(t("default_scenario_name"), {
+        year: state.year,
+        curriculum: state.curriculum,
+        plan: [],
+      });
+      state.scenarios = [scenario];
+      applyScenario(scenario);
+      return false;
+    }
+
+    /**
+     * Loads a scenario into the plan manager and makes it the active one.
+     * @param {Object} scenario - The scenario to load.
+     */
+    function applyScenario(scenario) {
+      state.activeScenario = scenario.id;
+      state.year = /^\d{4}\/\d{4}$/.test(scenario.year)
+        ? scenario.year
+        : state.year;
+      state.curriculum = programs.value[scenario.curriculum]
+        ? scenario.curriculum
+        : state.curriculum;
+
+      pm.value.plan = [];
+      pm.value.setYear(state.year);
+      pm.value.setCurriculum(state.curriculum);
+      pm.value.setDuration(scenario.duration);
+      state.duration = pm.value.duration;
+      state.restoreNotice = null;
+      if (scenario.plan && scenario.plan.length > 0) {
+        // Check the saved items against the current catalog and rules
+        const report = pm.value.restorePlan(scenario.plan);
+        const changed =
+          report.dropped.length +
+            report.renamed.length +
+            report.reassigned.length >
+          0;
+        if (changed) state.restoreNotice = report;
       } else {
         pm.value.initDefaults();
       }
-
       refreshState();
+    }
+
+    /**
+     * Switches to another programme from the setup screen.
+     * @param {string} programmeId - The programme id.
+     */
+    async function switchProgramme(programmeId) {
+      loading.value = true;
+      await loadProgramme(programmeId);
       loading.value = false;
-    });
+    }
 
     /**
      * Syncs the local reactive state with the PlanManager instance.
@@ -171,17 +761,321 @@ createApp({
     }
 
     /**
-     * Persists the current state to Local Storage.
+     * Downloads the saved plans that could not be read, as stored.
+     */
+    function downloadUnreadableState() {
+      downloadFile(
+        state.storageError.raw,
+        `piano_studi_${state.programme}_salvataggio.json`,
+        "application/json",
+      );
+    }
+
+    /**
+     * Replaces the saved plans that could not be read with the current ones,
+     * after user confirmation.
+     */
+    function discardUnreadableState() {
+      if (!confirm(t("storage_error_reset_confirm"))) return;
+      state.storageError = null;
+      saveState();
+    }
+
+    /**
+     * Persists the current state to Local Storage,
+     * storing the plan in the active scenario.
      */
     function saveState() {
-      const toSave = {
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      if (!active || state.storageError) return;
+      active.year = state.year;
+      active.curriculum = state.curriculum;
+      active.duration = state.duration;
+      active.plan = JSON.parse(JSON.stringify(state.plan));
+      saveProgrammeState(state.programme, {
+        activeScenario: state.activeScenario,
+        scenarios: state.scenarios,
+      });
+    }
+
+    // Scenarios
+    /**
+     * Switches to another saved scenario.
+     * @param {string} id - The scenario ID.
+     */
+    function switchScenario(id) {
+      const scenario = state.scenarios.find((s) => s.id === id);
+      if (scenario) applyScenario(scenario);
+    }
+
+    /**
+     * Creates an empty scenario with the current year and curriculum.
+     */
+    function newScenario() {
+      const name = prompt(
+        t("scenario_name_prompt"),
+        t("scenario_default_new", { n: state.scenarios.length + 1 }),
+      );
+      if (!name) return;
+      const scenario = createScenario(name.trim(), {
+        year: state.year,
+        curriculum: state.curriculum,
+        plan: [],
+      });
+      state.scenarios.push(scenario);
+      applyScenario(scenario);
+    }
+
+    /**
+     * Duplicates the active scenario and switches to the copy.
+     */
+    function duplicateScenario() {
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      const name = prompt(
+        t("scenario_name_prompt"),
+        t("scenario_copy_of", { name: active.name }),
+      );
+      if (!name) return;
+      const scenario = createScenario(name.trim(), {
         year: state.year,
         curriculum: state.curriculum,
         plan: state.plan,
+        duration: state.duration,
+      });
+      state.scenarios.push(scenario);
+      applyScenario(scenario);
+    }
+
+    /**
+     * Renames the active scenario.
+     */
+    function renameScenario() {
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      const name = prompt(t("scenario_name_prompt"), active.name);
+      if (!name) return;
+      active.name = name.trim();
+      saveState();
+    }
+
+    /**
+     * Deletes the active scenario after user confirmation.
+     * The last remaining scenario cannot be deleted.
+     */
+    function deleteScenario() {
+      if (state.scenarios.length <= 1) return;
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      if (!confirm(t("scenario_delete_confirm", { name: active.name }))) return;
+      state.scenarios = state.scenarios.filter((s) => s.id !== active.id);
+      state.compareIds = state.compareIds.filter((id) => id !== active.id);
+      applyScenario(state.scenarios[0]);
+    }
+
+    /**
+     * Opens the comparison view, preselecting up to three scenarios.
+     */
+    function openCompare() {
+      state.compareIds = state.scenarios.slice(0, 3).map((s) => s.id);
+      state.showCompare = true;
+    }
+
+    /**
+     * Adds or removes a scenario from the comparison (at most three).
+     * @param {string} id - The scenario ID.
+     */
+    function toggleCompare(id) {
+      if (state.compareIds.includes(id)) {
+        state.compareIds = state.compareIds.filter((c) => c !== id);
+      } else if (state.compareIds.length < 3) {
+        state.compareIds = [...state.compareIds, id];
+      }
+    }
+
+    // Sharing
+    /**
+     * Shows a short notification.
+     * @param {string} message - The message to show.
+     */
+    function showToast(message) {
+      state.toast = message;
+      setTimeout(() => {
+        if (state.toast === message) state.toast = "";
+      }, 3000);
+    }
+
+    /**
+     * Copies a link encoding the current plan to the clipboard.
+     * Falls back to a prompt when the clipboard is not available.
+     */
+    async function sharePlan() {
+      const url = buildShareUrl(
+        {
+          programme: state.programme,
+          year: state.year,
+          curriculum: state.curriculum,
+          duration: state.duration,
+          lang: currentLang.value,
+          plan: state.plan,
+        },
+        location.href.split("#")[0],
+      );
+      try {
+        await navigator.clipboard.writeText(url);
+        showToast(t("share_link_copied"));
+      } catch (e) {
+        prompt(t("share_link_prompt"), url);
+      }
+    }
+
+    /**
+     * Opens the plan encoded in the URL fragment, if any, in a read-only preview.
+     */
+    async function openSharedLink() {
+      const { found, payload } = readSharedPlan(location.hash);
+      if (!found) return;
+      if (!payload) {
+        shared.value = { malformed: true };
+        return;
+      }
+
+      const known = manifest.value.programmes.some((p) => p.id === payload.p);
+      if (known && payload.p !== state.programme) {
+        initialized.value = await loadProgramme(payload.p);
+      }
+      if (messages[payload.l]) currentLang.value = payload.l;
+
+      const { pm: sharedPm, unknown } = restoreSharedPlan(
+        payload,
+        data.value.exams,
+        data.value.rules,
+        t,
+      );
+      shared.value = { malformed: false, pm: sharedPm, unknown };
+    }
+
+    /**
+     * Computed property for the read-only view of the shared plan.
+     */
+    const sharedView = computed(() => {
+      if (!shared.value || shared.value.malformed) return null;
+      const sharedPm = shared.value.pm;
+      const groups = sharedPm.getTableOrder().map((table) => ({
+        table,
+        label: sharedPm.isCurriculumTable(table)
+          ? t("table") + " " + t(table)
+          : t(table),
+        items: sharedPm.plan.filter((item) => item.table === table),
+      }));
+      return {
+        year: sharedPm.year,
+        curriculum: sharedPm.curriculum,
+        groups,
+        validation: sharedPm.validate(),
+        unknown: shared.value.unknown,
       };
-      localStorage.setItem("studyPlanState", JSON.stringify(toSave));
+    });
+
+    /**
+     * Closes the shared plan preview and removes it from the URL.
+     */
+    function closeShared() {
+      shared.value = null;
+      history.replaceState(
+        null,
+        "",
+        location.pathname + location.search + withFilters("", state.filters),
+      );
     }
 
+    // Persist the matrix filters and mirror them in the URL
+    watch(
+      () => state.filters,
+      (filters) => {
+        saveFilters(filters);
+        history.replaceState(
+          null,
+          "",
+          location.pathname +
+            location.search +
+            withFilters(location.hash, filters),
+        );
+      },
+      { deep: true, immediate: true },
+    );
+
+    // A table filter from another curriculum would hide every exam
+    watch(eligibleTables, (tables) => {
+      if (state.filters.eligible && !tables.includes(state.filters.eligible)) {
+        state.filters.eligible = "";
+      }
+    });
+
+    /**
+     * Selects or deselects a value of a matrix facet.
+     * @param {string} facet - The facet name.
+     * @param {string} value - The value.
+     */
+    function toggleFacet(facet, value) {
+      const values = state.filters[facet];
+      const index = values.indexOf(value);
+      if (index === -1) values.push(value);
+      else values.splice(index, 1);
+    }
+
+    /**
+     * Clears every matrix filter.
+     */
+    function clearFilters() {
+      state.filters = createFilters();
+    }
+
+    /**
+     * Imports the shared plan as a new scenario and switches to it.
+     */
+    function importShared() {
+      const sharedPm = shared.value.pm;
+      const scenario = createScenario(t("shared_scenario_name"), {
+        year: sharedPm.year,
+        curriculum: sharedPm.curriculum,
+        duration: sharedPm.duration,
+        plan: sharedPm.plan,
+      });
+      state.scenarios.push(scenario);
+      applyScenario(scenario);
+      initialized.value = true;
+      closeShared();
+      showToast(t("shared_imported"));
+    }
+
+    /**
+     * Computed property for the validation of the scenarios being compared.
+     */
+    const comparison = computed(() => {
+      if (!state.showCompare || !data.value.rules) return null;
+      const selected = state.scenarios.filter((s) =>
+        state.compareIds.includes(s.id),
+      );
+      return compareScenarios(selected, data.value.exams, data.value.rules, t);
+    });
+
+    /**
+     * Computed property for the active plan run through every curriculum of
+     * the programme, the current one first.
+     */
+    const curriculumComparison = computed(() => {
+      if (!state.showCurriculumCompare || !data.value.rules) return null;
+      const curricula = [
+        state.curriculum,
+        ...Object.keys(programs.value).filter((c) => c !== state.curriculum),
+      ];
+      return compareCurricula(
+        { year: state.year, duration: state.duration, plan: state.plan },
+        curricula,
+        data.value.exams,
+        data.value.rules,
+        t,
+      );
+    });
+
     /**
      * Sets the academic year and updates the plan manager.
      * @param {string} y - The academic year string.
@@ -220,8 +1114,11 @@ createApp({
       const inPlan = state.plan.find((p) => p.examId === exam.id);
       if (inPlan) {
         pm.value.removeExam(inPlan.id);
-      } else {
-        pm.value.addExam(exam);
+      } else if (!pm.value.addExam(exam)) {
+        const alternative = pm.value.getAlternativeInPlan(exam);
+        if (alternative) {
+          showToast(t("alternative_refused", { exam: alternative.name }));
+        }
       }
       refreshState();
     }
@@ -245,6 +1142,59 @@ createApp({
       refreshState();
     }
 
+    /**
+     * Checks whether a plan item takes a grade.
+     * @param {Object} item - The plan item.
+     * @returns {boolean} True if a grade can be recorded once passed.
+     */
+    function isGraded(item) {
+      return !!pm.value && pm.value.isGraded(item);
+    }
+
+    /**
+     * Updates the status of a plan item. Passing an exam records today as its
+     * date, until the student picks the actual one.
+     * @param {Object} item - The plan item.
+     * @param {string} status - The new status.
+     */
+    function setItemStatus(item, status) {
+      const date =
+        status === "passed" && !item.date
+          ? new Date().toISOString().slice(0, 10)
+          : item.date;
+      pm.value.setProgress(item.id, { status, date });
+      refreshState();
+    }
+
+    /**
+     * Records the grade of a passed plan item.
+     * @param {Object} item - The plan item.
+     * @param {string} text - The grade as picked (e.g. "28" or "30L"), "" for none.
+     */
+    function setItemGrade(item, text) {
+      pm.value.setProgress(item.id, parseGrade(text));
+      refreshState();
+    }
+
+    /**
+     * Records the date a plan item was passed.
+     * @param {Object} item - The plan item.
+     * @param {string} date - The date (YYYY-MM-DD), "" for none.
+     */
+    function setItemDate(item, date) {
+      pm.value.setProgress(item.id, { date: date || null });
+      refreshState();
+    }
+
+    /**
+     * Pins or unpins the table assignment of a plan item.
+     * @param {string} id - The plan item ID.
+     */
+    function togglePin(id) {
+      pm.value.togglePin(id);
+      refreshState();
+    }
+
     /**
      * Adds a custom external exam to the plan.
      * Uses state values for name and CFU.
@@ -283,6 +1233,54 @@ createApp({
       return pm.value.getAllowedTables(exam);
     }
 
+    /**
+     * Gets the tables a plan item can be moved to by the user.
+     * @param {Object} planItem - The plan item.
+     * @returns {Array<string>} List of target table names.
+     */
+    function getMoveTargets(planItem) {
+      return [...getPossibleTables(planItem), "Facoltativi", "Fuori Piano"];
+    }
+
+    /**
+     * Gets the localized explanation of a plan item's table placement.
+     * @param {Object} planItem - The plan item.
+     * @returns {Array<string>} Explanation lines.
+     */
+    function getPlacementNotes(planItem) {
+      if (!pm.value) return [];
+      return pm.value.explainPlacement(planItem.id);
+    }
+
+    /**
+     * Schedules a plan item in the timeline.
+     * @param {string} itemId - The plan item ID.
+     * @param {number|string} year - The year of the plan, or "" to unschedule.
+     * @param {number|null} period - The period, for custom exams.
+     */
+    function scheduleItem(itemId, year, period = null) {
+      pm.value.scheduleExam(itemId, parseInt(year) || null, parseInt(period));
+      refreshState();
+    }
+
+    /**
+     * Changes how many years the plan spans.
+     * @param {number|string} duration - The number of years.
+     */
+    function setDuration(duration) {
+      pm.value.setDuration(duration);
+      state.duration = pm.value.duration;
+      refreshState();
+    }
+
+    /**
+     * Expands or collapses the placement note of a plan item.
+     * @param {string} id - The plan item ID.
+     */
+    function toggleNote(id) {
+      state.openNote = state.openNote === id ? null : id;
+    }
+
     /**
      * Checks if an exam is currently in the plan.
      * @param {string} examId - The exam ID.
@@ -292,6 +1290,39 @@ createApp({
       return state.plan.some((p) => p.examId === examId);
     }
 
+    /**
+     * Gets the plan items whose lessons overlap with those of an exam.
+     * @param {Object} exam - The exam object.
+     * @returns {Array<Object>} The clashing plan items.
+     */
+    function getClashes(exam) {
+      if (!pm.value || !hasTimetable.value) return [];
+      return pm.value.getClashesFor(exam);
+    }
+
+    /**
+     * Gets the relation of an exam with the hovered matrix card.
+     * @param {Object} exam - The exam object.
+     * @returns {string|null} 'background', 'dependent', or null if unrelated.
+     */
+    function getRelationRole(exam) {
+      const relations = hoveredRelations.value;
+      if (!relations) return null;
+      if (relations.background.includes(exam.id)) return "background";
+      if (relations.dependents.includes(exam.id)) return "dependent";
+      return null;
+    }
+
+    /**
+     * Gets the plan item holding an alternative of an exam.
+     * @param {Object} exam - The exam object.
+     * @returns {Object|undefined} The plan item, if any.
+     */
+    function getAlternative(exam) {
+      if (!pm.value || isInPlan(exam.id)) return undefined;
+      return pm.value.getAlternativeInPlan(exam);
+    }
+
     /**
      * Determines the CSS class for an exam card status.
      * @param {Object} exam - The exam object.
@@ -299,7 +1330,7 @@ createApp({
      */
     function getExamStatusClass(exam) {
       if (isInPlan(exam.id)) return "selected";
-      if (!isAvailable(exam)) return "disabled";
+      if (!isAvailable(exam) || getAlternative(exam)) return "disabled";
       return "";
     }
 
@@ -348,20 +1379,21 @@ createApp({
      * @returns {string} Formatted string of tables.
      */
     function getDisplayTables(exam) {
-      if (!exam.rawTable) return t("Facoltativi");
-
-      const currentCurriculum = state.curriculum;
-      const allTables = exam.rawTable.split("|").map((t) => t.trim());
+      if (!pm.value) return "";
+      const tables = pm.value.getAllowedTables(exam);
+      return tables.length > 0 ? tables.join(" | ") : t("Facoltativi");
+    }
 
-      if (currentCurriculum === "F94") {
-        // Filter only A, B, C
-        const f94Tables = allTables.filter((t) => ["A", "B", "C"].includes(t));
-        return f94Tables.length > 0 ? f94Tables.join(" | ") : t("Facoltativi");
-      } else {
-        // Filter only 1, 2
-        const fbaTables = allTables.filter((t) => ["1", "2"].includes(t));
-        return fbaTables.length > 0 ? fbaTables.join(" | ") : t("Facoltativi");
+    /**
+     * Gets the display label of a table, e.g. "Tabella A" or "Facoltativi".
+     * @param {string} table - The table name.
+     * @returns {string} Localized label.
+     */
+    function getTableLabel(table) {
+      if (pm.value && pm.value.isCurriculumTable(table)) {
+        return t("table") + " " + t(table);
       }
+      return t(table);
     }
 
     /**
@@ -374,6 +1406,175 @@ createApp({
       }
     }
 
+    /**
+     * Triggers the download of a file generated in the browser.
+     * @param {string} content - The file content.
+     * @param {string} filename - The name of the downloaded file.
+     * @param {string} type - The MIME type.
+     */
+    function downloadFile(content, filename, type) {
+      const blob = new Blob([content], { type });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.setAttribute("href", url);
+      link.setAttribute("download", filename);
+      link.style.visibility = "hidden";
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+
+    /**
+     * Gets the base name of exported files, e.g. "piano_studi_FBA_2025-2026".
+     * @returns {string} The file base name.
+     */
+    function exportBaseName() {
+      return `piano_studi_${state.curriculum}_${state.year.replace("/", "-")}`;
+    }
+
+    /**
+     * Computed property for the printable report of the plan, as an HTML document.
+     */
+    const reportHtml = computed(() => {
+      if (!state.showReport || !pm.value) return "";
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      const program = programs.value[state.curriculum];
+      const report = buildReport(pm.value, {
+        programme: programmeTitle.value,
+        scenario: active ? active.name : "",
+        curriculum: program ? localize(program.label) : state.curriculum,
+        generatedAt: new Date(),
+      });
+      return renderReport(report, t, currentLang.value);
+    });
+
+    /**
+     * Prints the report shown in the preview; browsers can save it as PDF.
+     */
+    function printReport() {
+      reportFrame.value.contentWindow.print();
+    }
+
+    /**
+     * Downloads the report as a self-contained HTML file.
+     */
+    function downloadReport() {
+      downloadFile(
+        reportHtml.value,
+        `${exportBaseName()}.html`,
+        "text/html;charset=utf-8;",
+      );
+    }
+
+    /**
+     * Prepares the iCalendar file of the courses scheduled in the timeline and
+     * shows what it holds and what it leaves out.
+     */
+    function openICS() {
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      state.icsExport = buildICS(pm.value, data.value.calendar, {
+        name: [programmeTitle.value, active ? active.name : ""]
+          .filter((part) => part)
+          .join(" – "),
+      });
+    }
+
+    /**
+     * Downloads the prepared iCalendar file, one event series per course over
+     * its teaching period.
+     */
+    function downloadICS() {
+      const { ics, count } = state.icsExport;
+      downloadFile(
+        ics,
+        `${exportBaseName()}.ics`,
+        "text/calendar;charset=utf-8;",
+      );
+      state.icsExport = null;
+      showToast(t("ics_exported", { count }));
+    }
+
+    /**
+     * Gets the name of a table on the official submission form, falling back
+     * to its label in the app.
+     * @param {string} table - The table name.
+     * @returns {string} The official name.
+     */
+    function getOfficialTableName(table) {
+      const names =
+        data.value.rules.degree_requirements.common_rules.official_names || {};
+      return names[table] ? localize(names[table]) : getTableLabel(table);
+    }
+
+    /**
+     * Computed property for the checklist of the official plan submission.
+     */
+    const submission = computed(() => {
+      if (!state.showSubmission || !pm.value) return null;
+      return buildSubmission(pm.value, getOfficialTableName);
+    });
+
+    /**
+     * Opens the submission checklist with every exam still to enter.
+     */
+    function openSubmission() {
+      state.submissionDone = {};
+      state.showSubmission = true;
+    }
+
+    /**
+     * Ticks or unticks an exam of the submission checklist.
+     * @param {string} id - The plan item id.
+     */
+    function toggleSubmissionDone(id) {
+      state.submissionDone[id] = !state.submissionDone[id];
+    }
+
+    /**
+     * Copies a text to the clipboard, showing it in a prompt if access is denied.
+     * @param {string} text - The text to copy.
+     * @param {string} message - The toast shown once copied.
+     */
+    async function copyText(text, message) {
+      try {
+        await navigator.clipboard.writeText(text);
+        showToast(message);
+      } catch (e) {
+        prompt(t("submission_copy_prompt"), text);
+      }
+    }
+
+    /**
+     * Copies the activity code of an exam of the checklist.
+     * @param {Object} row - The checklist row.
+     */
+    function copySubmissionCode(row) {
+      copyText(row.code, t("submission_code_copied", { code: row.code }));
+    }
+
+    /**
+     * Copies the whole checklist as plain text.
+     */
+    function copySubmissionChecklist() {
+      copyText(
+        formatChecklist(submission.value, t),
+        t("submission_checklist_copied"),
+      );
+    }
+
+    /**
+     * Downloads the checklist as a plain text file.
+     */
+    function downloadSubmission() {
+      downloadFile(
+        formatChecklist(submission.value, t),
+        `${exportBaseName()}_codici.txt`,
+        "text/plain;charset=utf-8;",
+      );
+    }
+
     /**
      * Generates and triggers a download of the current plan as a CSV file.
      */
@@ -389,58 +1590,248 @@ createApp({
         return {
           Exam: item.name,
           CFU: item.cfu,
-          "4 month period": originalExam ? originalExam.period : "N/D",
+          "4 month period": item.slot
+            ? item.slot.period
+            : originalExam
+              ? originalExam.period
+              : "N/D",
+          Year: item.slot ? pm.value.getAcademicYear(item.slot.year) : "",
           Table: item.table,
           Pillar: originalExam ? originalExam.pillar : "N/D",
           SubPillar: originalExam ? originalExam.subpillar : "N/D",
           Type: getType(item),
           Link: originalExam ? originalExam.link : "",
+          ID: item.examId || "",
+          Status: t("status_" + (item.status || "planned")),
+          Grade: formatGrade(item),
+          Date: item.date || "",
         };
       });
 
       // Use PapaParse (already included in the project)
       const csv = Papa.unparse(exportData);
-      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-      const url = URL.createObjectURL(blob);
+      downloadFile(csv, `${exportBaseName()}.csv`, "text/csv;charset=utf-8;");
+    }
 
-      const link = document.createElement("a");
-      link.setAttribute("href", url);
-      const filename = `piano_studi_${state.curriculum}_${state.year.replace("/", "-")}.csv`;
-      link.setAttribute("download", filename);
-      link.style.visibility = "hidden";
+    /**
+     * Downloads a full-fidelity JSON backup of the current plan.
+     */
+    function downloadBackup() {
+      const active = state.scenarios.find((s) => s.id === state.activeScenario);
+      const backup = createBackup({
+        programme: state.programme,
+        name: active ? active.name : "",
+        year: state.year,
+        curriculum: state.curriculum,
+        duration: state.duration,
+        plan: state.plan,
+      });
+      downloadFile(backup, `${exportBaseName()}.json`, "application/json");
+    }
 
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+    /**
+     * Reads a CSV export or JSON backup chosen by the user and shows the import preview.
+     * A backup of another programme is matched against that programme's catalog,
+     * which is only opened once the import is confirmed.
+     * @param {Event} event - The change event of the file input.
+     */
+    async function onImportFile(event) {
+      const file = event.target.files[0];
+      event.target.value = ""; // Allow choosing the same file again
+      if (!file) return;
+
+      try {
+        const text = await file.text();
+        let result = previewImport(
+          text,
+          file.name,
+          data.value.exams,
+          data.value.rules,
+          state.curriculum,
+        );
+
+        let programmeMismatch = null;
+        if (result.programme && result.programme !== state.programme) {
+          const entry = manifest.value.programmes.find(
+            (p) => p.id === result.programme,
+          );
+          programmeMismatch = {
+            id: result.programme,
+            title: entry ? localize(entry.title) : result.programme,
+            known: !!entry,
+          };
+          if (entry) {
+            const loaded = await loadData(entry);
+            if (!loaded.rules) throw new Error("import_error_read");
+            result = previewImport(
+              text,
+              file.name,
+              loaded.exams,
+              loaded.rules,
+              Object.keys(loaded.rules.degree_requirements.programs)[0],
+            );
+          }
+        }
+
+        state.importPreview = {
+          fileName: file.name,
+          error: null,
+          programmeMismatch,
+          result,
+        };
+      } catch (e) {
+        console.error("Failed to read import file", e);
+        state.importPreview = {
+          fileName: file.name,
+          error: e.message,
+          programmeMismatch: null,
+          result: null,
+        };
+      }
+    }
+
+    /**
+     * Replaces the current plan with the previewed import, after switching to
+     * the programme of the backup if needed.
+     */
+    async function confirmImport() {
+      const { result, programmeMismatch } = state.importPreview;
+      if (programmeMismatch && programmeMismatch.known) {
+        initialized.value = await loadProgramme(programmeMismatch.id);
+      }
+
+      const year = result.year || state.year;
+      const { plan, duration } = buildImportedPlan(
+        result,
+        data.value.exams,
+        data.value.rules,
+        t,
+        year,
+      );
+
+      state.year = year;
+      state.curriculum = result.curriculum;
+      pm.value.plan = [];
+      pm.value.setYear(year);
+      pm.value.setCurriculum(result.curriculum);
+      pm.value.setDuration(duration);
+      state.duration = pm.value.duration;
+      pm.value.plan = plan;
+      pm.value.rebalanceBuckets(); // Keeps the placement notes in step
+      state.importPreview = null;
+      refreshState();
+      showToast(t("import_done"));
     }
 
     return {
       loading,
       initialized,
       state,
+      manifest,
+      programme,
+      programmeTitle,
       pillars,
       matrix,
+      getSearchHighlights,
+      facetCounts,
+      statusCounts,
+      eligibleTables,
+      activeFilterCount,
+      toggleFacet,
+      clearFilters,
+      programs,
+      availabilityIssues,
+      timeline,
+      progress,
+      STATUSES,
+      gradeOptions,
+      formatGrade,
+      isGraded,
+      setItemStatus,
+      setItemGrade,
+      setItemDate,
+      durationOptions,
+      hasTimetable,
+      weekCalendar,
+      getClashes,
+      getRelationRole,
+      preview,
+      getPreviewChange,
+      getPreviewSegment,
+      excludedExams,
+      openCompletion,
+      updateCompletions,
+      toggleCompletionPref,
+      applyCompletion,
+      hasTemplates,
+      hasCalendar,
+      templateGallery,
+      openTemplates,
+      getTemplateChoice,
+      setTemplateChoice,
+      applyTemplate,
+      getAlternative,
+      scheduleItem,
+      setDuration,
       sortedTables,
       groupedPlan,
       setYear,
       setCurriculum,
+      switchProgramme,
+      switchScenario,
+      newScenario,
+      duplicateScenario,
+      renameScenario,
+      deleteScenario,
+      openCompare,
+      toggleCompare,
+      comparison,
+      curriculumComparison,
+      sharePlan,
+      shared,
+      sharedView,
+      closeShared,
+      importShared,
       startPlan,
       toggleExam,
       removePlanItem,
       movePlanItem,
+      togglePin,
       addCustom,
       isAvailable,
       getPossibleTables,
+      getMoveTargets,
+      getPlacementNotes,
+      toggleNote,
       isInPlan,
       getExamStatusClass,
       getPillarColor,
       getPillarStyle,
       getNextAvailability,
       getDisplayTables,
+      getTableLabel,
       academicYears,
       resetPlan,
       downloadCSV,
+      reportFrame,
+      reportHtml,
+      printReport,
+      downloadReport,
+      openICS,
+      downloadICS,
+      downloadUnreadableState,
+      discardUnreadableState,
+      submission,
+      openSubmission,
+      toggleSubmissionDone,
+      copySubmissionCode,
+      copySubmissionChecklist,
+      downloadSubmission,
+      downloadBackup,
+      onImportFile,
+      confirmImport,
       t,
+      localize,
       currentLang,
       toggleLang,
     };
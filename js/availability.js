@@ -0,0 +1,162 @@
+/**
+ * Availability expressions of the catalog (`avaiability` column).
+ *
+ * An expression is a list of clauses separated by ";", all of which must hold
+ * for the exam to be offered in an academic year. Years can be written as
+ * "2026/2027", "2026/27", "2026-27" or "2026", and always refer to the year
+ * starting in the autumn of the first number.
+ *
+ * - `enabled` / `disabled`: always or never offered.
+ * - `From 2026/27`: offered from that year on.
+ * - `Until 2027/28`: offered up to that year included.
+ * - `Suspended in 2027/28, 2029/30`: not offered in those years.
+ * - `Biennial (Even)` / `Biennial (Odd)`: offered in years starting with an
+ *   even / odd number.
+ * - `Biennial from 2025/26`: offered in that year and every two years after.
+ *
+ * Example: `From 2026/27; Suspended in 2028/29`.
+ */
+
+/** How many years ahead to look for the next offering. */
+const SEARCH_HORIZON = 20;
+
+/**
+ * Parses an academic year.
+ * @param {string} text - The year, e.g. "2026/27".
+ * @returns {number|null} The starting year, or null if malformed.
+ */
+export function parseAcademicYear(text) {
+  const match = /^(\d{4})(?:\s*[/-]\s*(\d{2}|\d{4}))?$/.exec(
+    (text || "").trim(),
+  );
+  if (!match) return null;
+
+  const start = parseInt(match[1]);
+  if (match[2]) {
+    const end = parseInt(match[2]);
+    const expected = match[2].length === 2 ? (start + 1) % 100 : start + 1;
+    if (end !== expected) return null;
+  }
+  return start;
+}
+
+/**
+ * Formats the starting year of an academic year, e.g. 2026 → "2026/27".
+ * @param {number} start - The starting year.
+ * @returns {string} The academic year.
+ */
+export function formatAcademicYear(start) {
+  return `${start}/${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Parses one clause into the expression.
+ * @param {string} clause - The clause text.
+ * @param {Object} expr - The expression being built.
+ * @returns {boolean} False if the clause is malformed.
+ */
+function parseClause(clause, expr) {
+  const text = clause.trim().toLowerCase();
+  let match;
+
+  if (text === "enabled") return true;
+  if (text === "disabled") {
+    expr.disabled = true;
+    return true;
+  }
+  if ((match = /^from\s+(.+)$/.exec(text))) {
+    const year = parseAcademicYear(match[1]);
+    if (year === null) return false;
+    expr.from = Math.max(expr.from ?? year, year);
+    return true;
+  }
+  if ((match = /^until\s+(.+)$/.exec(text))) {
+    const year = parseAcademicYear(match[1]);
+    if (year === null) return false;
+    expr.until = Math.min(expr.until ?? year, year);
+    return true;
+  }
+  if ((match = /^suspended\s+in\s+(.+)$/.exec(text))) {
+    const years = match[1].split(",").map(parseAcademicYear);
+    if (years.includes(null)) return false;
+    expr.suspended.push(...years);
+    return true;
+  }
+  if ((match = /^biennial\s*\((even|odd)\)$/.exec(text))) {
+    expr.parity = match[1] === "even" ? 0 : 1;
+    return true;
+  }
+  if ((match = /^biennial\s+from\s+(.+)$/.exec(text))) {
+    const year = parseAcademicYear(match[1]);
+    if (year === null) return false;
+    expr.parity = year % 2;
+    expr.from = Math.max(expr.from ?? year, year);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Parses an availability expression.
+ * An empty expression means always offered.
+ * @param {string} text - The expression from the catalog.
+ * @returns {{valid: boolean, disabled: boolean, from: number|null,
+ *   until: number|null, suspended: Array<number>, parity: number|null}}
+ *   The parsed expression; `valid` is false if any clause is malformed.
+ */
+export function parseAvailability(text) {
+  const expr = {
+    valid: true,
+    disabled: false,
+    from: null,
+    until: null,
+    suspended: [],
+    parity: null,
+  };
+  (text || "")
+    .split(";")
+    .filter((clause) => clause.trim())
+    .forEach((clause) => {
+      if (!parseClause(clause, expr)) expr.valid = false;
+    });
+  return expr;
+}
+
+/**
+ * Checks whether an exam is offered in an academic year.
+ * Malformed expressions are considered always offered, as before this parser existed.
+ * @param {Object} expr - Expression from {@link parseAvailability}.
+ * @param {number} start - The starting year of the academic year.
+ * @returns {boolean} True if offered.
+ */
+export function isOfferedIn(expr, start) {
+  if (!expr.valid) return true;
+  if (expr.disabled) return false;
+  if (expr.from !== null && start < expr.from) return false;
+  if (expr.until !== null && start > expr.until) return false;
+  if (expr.suspended.includes(start)) return false;
+  if (expr.parity !== null && start % 2 !== expr.parity) return false;
+  return true;
+}
+
+/**
+ * Finds the first academic year, from the given one on, in which an exam is offered.
+ * @param {Object} expr - Expression from {@link parseAvailability}.
+ * @param {number} start - The starting year to search from.
+ * @returns {number|null} The starting year, or null if never offered again.
+ */
+export function nextOffering(expr, start) {
+  for (let year = start; year < start + SEARCH_HORIZON; year++) {
+    if (isOfferedIn(expr, year)) return year;
+  }
+  return null;
+}
+
+/**
+ * Lists the catalog exams whose availability cannot be parsed.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @returns {Array<Object>} The exams with a malformed availability.
+ */
+export function findAvailabilityIssues(exams) {
+  return exams.filter((exam) => !parseAvailability(exam.availability).valid);
+}
@@ -0,0 +1,141 @@
+import { PlanManager } from "./logic.js";
+
+/**
+ * Gets a key identifying the exam of a plan item across plans.
+ * Custom exams are matched by name, since they have no catalog id.
+ * @param {Object} item - The plan item.
+ * @returns {string} The comparison key.
+ */
+function examKey(item) {
+  return item.examId || "custom:" + item.name.trim().toLowerCase();
+}
+
+/**
+ * Validates several plan scenarios side by side.
+ * Each scenario is loaded in its own PlanManager, so the active plan is never touched.
+ * @param {Array<Object>} scenarios - Scenarios to compare ({name, year, curriculum, duration, plan}).
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} rules - The degree requirements and rules.
+ * @param {Function} t - Translation function.
+ * @returns {{tables: Array<string>, columns: Array<Object>}} The table rows, in
+ *   display order, and one column per scenario with its validation `report`
+ *   and the plan items (`uniqueItems`) not shared by every other scenario.
+ */
+export function compareScenarios(scenarios, exams, rules, t) {
+  const columns = scenarios.map((scenario) => {
+    const pm = new PlanManager(exams, rules, t);
+    pm.setYear(scenario.year);
+    pm.setCurriculum(scenario.curriculum);
+    pm.setDuration(scenario.duration);
+    pm.restorePlan(scenario.plan);
+    return {
+      scenario,
+      plan: pm.plan,
+      report: pm.validate(),
+      tableOrder: pm.getTableOrder(),
+    };
+  });
+
+  const tables = [];
+  columns.forEach((col) =>
+    col.tableOrder.forEach((table) => {
+      if (!tables.includes(table)) tables.push(table);
+    }),
+  );
+
+  columns.forEach((col, index) => {
+    const others = columns.filter((_, i) => i !== index);
+    col.uniqueItems = col.plan.filter((item) =>
+      others.some((other) =>
+        other.plan.every((p) => examKey(p) !== examKey(item)),
+      ),
+    );
+  });
+
+  return { tables, columns };
+}
+
+/**
+ * Runs the same exam selection through every curriculum of the programme, to
+ * see what switching curriculum would change. Each curriculum gets its own
+ * PlanManager, so the saved plan keeps its tables.
+ * @param {Object} scenario - The plan ({year, duration, plan}).
+ * @param {Array<string>} curricula - The curriculum codes to compare.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} rules - The degree requirements and rules.
+ * @param {Function} t - Translation function.
+ * @returns {{columns: Array<Object>, rows: Array<Object>}} One column per
+ *   curriculum with its validation `report`, its `tableOrder`, the credits
+ *   out of plan (`outOfPlanCredits`) and the `messages` and `warnings` it
+ *   does not share with the other curricula; one row per exam of the plan
+ *   (mandatory ones aside) with
+ *   its table and table label in each curriculum (`tables`, `labels`), the
+ *   curricula where it may only count as Facoltativi (`freeOnly`) and
+ *   whether its table changes (`changed`).
+ */
+export function compareCurricula(scenario, curricula, exams, rules, t) {
+  const columns = curricula.map((curriculum) => {
+    const pm = new PlanManager(exams, rules, t);
+    pm.setYear(scenario.year);
+    pm.setCurriculum(curriculum);
+    pm.setDuration(scenario.duration);
+    pm.restorePlan(scenario.plan);
+    const report = pm.validate();
+    return {
+      curriculum,
+      pm,
+      report,
+      tableOrder: pm.getTableOrder(),
+      outOfPlanCredits: report.tables["Fuori Piano"]
+        ? report.tables["Fuori Piano"].current
+        : 0,
+    };
+  });
+
+  columns.forEach((col, index) => {
+    const others = columns.filter((_, i) => i !== index);
+    const unshared = (kind) =>
+      col.report[kind].filter((msg) =>
+        others.some((other) => !other.report[kind].includes(msg)),
+      );
+    col.messages = unshared("messages");
+    col.warnings = unshared("warnings");
+  });
+
+  const rows = [];
+  columns.forEach((col) =>
+    col.pm.plan
+      .filter((item) => item.table !== "Obbligatori")
+      .forEach((item) => {
+        const key = examKey(item);
+        let row = rows.find((r) => r.key === key);
+        if (!row) {
+          row = {
+            key,
+            name: item.name,
+            cfu: item.cfu,
+            tables: {},
+            labels: {},
+            freeOnly: [],
+          };
+          rows.push(row);
+        }
+        row.tables[col.curriculum] = item.table;
+        row.labels[col.curriculum] = col.pm.isCurriculumTable(item.table)
+          ? t("table") + " " + t(item.table)
+          : t(item.table);
+        const exam = item.examId
+          ? exams.find((e) => e.id === item.examId)
+          : null;
+        if (exam && col.pm.getAllowedTables(exam).length === 0) {
+          row.freeOnly.push(col.curriculum);
+        }
+      }),
+  );
+  rows.forEach((row) => {
+    row.changed = new Set(Object.values(row.tables)).size > 1;
+  });
+
+  columns.forEach((col) => delete col.pm);
+  return { columns, rows };
+}
@@ -0,0 +1,225 @@
+/**
+ * Guided completion of an incomplete plan.
+ *
+ * The credit gaps of a plan are the credits still missing in the curriculum
+ * tables, in "Facoltativi", in the sum constraints (e.g. B + C) and in the
+ * total. Completions are built greedily: each step adds the candidate exam
+ * that closes the most gap credits once the rebalancer has placed it, so an
+ * exam counting for a table, a sum constraint and the total at once wins over
+ * one that only fills the total. Alternatives start from another kind of
+ * exam or do without one of the greedy picks, and are ranked by extra
+ * credits, then by how well they match the preferences of the student.
+ *
+ * Exams with the same credits and curriculum tables are interchangeable for
+ * the rebalancer, so each step only tries the preferred exam of each kind.
+ */
+
+/** Maximum number of exams a completion may add. */
+const MAX_EXAMS = 20;
+
+/**
+ * Creates the default completion preferences.
+ * @returns {{pillars: Array<string>, language: string, avoidPeriods: Array<number>,
+ *   exclude: Array<string>}} Favoured pillars, required language ("" for any),
+ *   periods to avoid and ids of the exams to exclude.
+ */
+export function createPreferences() {
+  return { pillars: [], language: "", avoidPeriods: [], exclude: [] };
+}
+
+/**
+ * Sums the credits still missing to meet the requirements of a plan.
+ * @param {Object} report - Validation report from `PlanManager.validate()`.
+ * @returns {number} The missing credits, counted once per requirement.
+ */
+export function countCreditGaps(report) {
+  let missing = Math.max(0, report.requiredCredits - report.totalCredits);
+  Object.entries(report.tables).forEach(([table, status]) => {
+    if (table === "Obbligatori") return;
+    missing += Math.max(0, status.min - status.current);
+  });
+  report.specialRules.forEach((rule) => {
+    missing += Math.max(0, rule.min - rule.current);
+  });
+  return missing;
+}
+
+/**
+ * Scores how well an exam matches the preferences.
+ * @param {Object} exam - The exam object.
+ * @param {Object} preferences - See {@link createPreferences}.
+ * @returns {number} The score; higher is better.
+ */
+function preferenceScore(exam, preferences) {
+  return preferences.pillars.includes(exam.pillar) ? 1 : 0;
+}
+
+/**
+ * Lists the exams that may complete the plan, best preferences first.
+ * @param {PlanManager} pm - The plan manager.
+ * @param {Object} preferences - See {@link createPreferences}.
+ * @returns {Array<Object>} The candidate exams.
+ */
+function listCandidates(pm, preferences) {
+  return pm.allExams
+    .filter(
+      (exam) =>
+        !pm.plan.some((p) => p.examId === exam.id) &&
+        !pm.getAlternativeInPlan(exam) &&
+        pm.isExamAvailable(exam) &&
+        !preferences.exclude.includes(exam.id) &&
+        !preferences.avoidPeriods.includes(exam.period) &&
+        (!preferences.language || exam.language === preferences.language),
+    )
+    .sort(
+      (a, b) =>
+        preferenceScore(b, preferences) - preferenceScore(a, preferences) ||
+        a.name.localeCompare(b.name),
+    );
+}
+
+/**
+ * Groups the candidates by kind: credits and curriculum tables.
+ * @param {PlanManager} pm - The plan manager.
+ * @param {Array<Object>} candidates - Candidate exams, best preferences first.
+ * @returns {Array<Object>} The preferred exam of each kind.
+ */
+function pickKinds(pm, candidates) {
+  const kinds = new Map();
+  candidates.forEach((exam) => {
+    const kind = exam.cfu + ":" + pm.getAllowedTables(exam).join(",");
+    if (!kinds.has(kind)) kinds.set(kind, exam);
+  });
+  return [...kinds.values()];
+}
+
+/**
+ * Gets the gap credits left after adding an exam to a plan.
+ * @param {PlanManager} pm - The plan manager, left untouched.
+ * @param {Object} exam - The exam to add.
+ * @returns {number|null} The remaining gap, or null if the exam cannot be added.
+ */
+function gapAfter(pm, exam) {
+  const sandbox = pm.clone();
+  if (!sandbox.addExam(exam)) return null;
+  return countCreditGaps(sandbox.validate());
+}
+
+/**
+ * Checks whether two exams are alternatives (equivalent or mutually
+ * exclusive), so that only one of them can be in a plan.
+ * @param {Object} a - An exam.
+ * @param {Object} b - Another exam.
+ * @returns {boolean} True if they are alternatives.
+ */
+function areAlternatives(a, b) {
+  return (
+    (a.alternatives || []).some((alt) => alt.id === b.id) ||
+    (b.alternatives || []).some((alt) => alt.id === a.id)
+  );
+}
+
+/**
+ * Completes a plan greedily.
+ * @param {PlanManager} pm - The plan manager, left untouched.
+ * @param {Array<Object>} candidates - Candidate exams, best preferences first.
+ * @param {Object|null} first - An exam to add first, if any.
+ * @returns {Array<Object>|null} The exams added, or null if the gaps cannot be closed.
+ */
+function completeGreedily(pm, candidates, first = null) {
+  const sandbox = pm.clone();
+  const added = [];
+  if (first) {
+    sandbox.addExam(first);
+    added.push(first);
+  }
+  let gap = countCreditGaps(sandbox.validate());
+
+  while (gap > 0 && added.length < MAX_EXAMS) {
+    const unused = candidates.filter((exam) => !added.includes(exam));
+    let best = null;
+    pickKinds(sandbox, unused).forEach((exam) => {
+      const remaining = gapAfter(sandbox, exam);
+      if (remaining === null || remaining >= gap) return;
+      if (!best || remaining < best.remaining) best = { exam, remaining };
+    });
+    if (!best) return null;
+    sandbox.addExam(best.exam);
+    added.push(best.exam);
+    gap = best.remaining;
+  }
+  return gap === 0 ? added : null;
+}
+
+/**
+ * Proposes sets of exams that close every credit gap of a plan.
+ * Exams are available in the years of the plan, not in the plan yet, not
+ * alternatives of exams in the plan, and match the preferences.
+ * @param {PlanManager} pm - The plan manager, left untouched.
+ * @param {Object} preferences - See {@link createPreferences}.
+ * @param {number} limit - Maximum number of proposals.
+ * @returns {Array<{exams: Array<Object>, credits: number, score: number,
+ *   report: Object, placements: Object<string, string>}>} The proposals,
+ *   best first, with the validation report of the completed plan and the
+ *   table of each added exam. Empty if the plan has no gap or none closes it.
+ */
+export function findCompletions(pm, preferences, limit = 3) {
+  if (countCreditGaps(pm.validate()) === 0) return [];
+
+  const candidates = listCandidates(pm, preferences);
+  const kindOf = (exam) => exam.cfu + ":" + pm.getAllowedTables(exam).join(",");
+  const solutions = [
+    completeGreedily(pm, candidates),
+    ...pickKinds(pm, candidates).map((first) =>
+      completeGreedily(pm, candidates, first),
+    ),
+  ].filter((exams) => exams);
+
+  // Swapping an exam for another of the same kind keeps the plan complete,
+  // unless the substitute is an alternative of another exam of the set
+  const variants = [];
+  solutions.forEach((exams) => {
+    variants.push(exams);
+    exams.forEach((exam, i) => {
+      const others = exams.filter((_, j) => j !== i);
+      const substitute = candidates.find(
+        (c) =>
+          !exams.includes(c) &&
+          kindOf(c) === kindOf(exam) &&
+          !others.some((other) => areAlternatives(c, other)),
+      );
+      if (substitute) {
+        variants.push(exams.map((e, j) => (j === i ? substitute : e)));
+      }
+    });
+  });
+
+  const unique = new Map();
+  variants.forEach((exams) => {
+    const key = exams
+      .map((e) => e.id)
+      .sort()
+      .join("|");
+    if (unique.has(key)) return;
+    unique.set(key, {
+      exams,
+      credits: exams.reduce((sum, e) => sum + e.cfu, 0),
+      score: exams.reduce((sum, e) => sum + preferenceScore(e, preferences), 0),
+    });
+  });
+
+  // Proposals whose exams cannot all be added are dropped
+  return [...unique.values()]
+    .sort((a, b) => a.credits - b.credits || b.score - a.score)
+    .map((proposal) => {
+      const sandbox = pm.clone();
+      if (!proposal.exams.every((e) => sandbox.addExam(e))) return null;
+      const placements = {};
+      proposal.exams.forEach((e) => {
+        placements[e.id] = sandbox.plan.find((p) => p.examId === e.id).table;
+      });
+      return { ...proposal, report: sandbox.validate(), placements };
+    })
+    .filter((proposal) => proposal)
+    .slice(0, limit);
+}
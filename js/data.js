@@ -1,3 +1,7 @@
+import { parseAcademicYear } from './availability.js';
+import { normalizeLessons } from './timetable.js';
+import { normalizeCalendar } from './ical.js';
+
 /**
  * Parses CSV text containing exam data.
  * Uses PapaParse if available, otherwise falls back to a minimal internal parser.
@@ -63,14 +67,28 @@ function minimalCSVParse(text) {
     return data;
 }
 
+/**
+ * Extracts the UNIMI activity code from a course link
+ * (e.g. "af20260000fba-20" from ".../ugov/of/af20260000fba-20"), ignoring any
+ * query string or fragment.
+ * @param {string} link - The course URL.
+ * @returns {string|null} The lower-case activity code, or null if the link has none.
+ */
+export function getCourseCode(link) {
+    const match = /\/of\/(af[0-9a-z]+-\d+)\/?(?:[?#].*)?$/i.exec((link || '').trim());
+    return match ? match[1].toLowerCase() : null;
+}
+
 /**
  * Transforms a raw CSV row object into a structured exam object.
  * @param {Object} row - Key-value pair row from CSV parser.
  * @returns {Object} Structured exam object with normalized fields.
  */
 function processExamRow(row) {
+    // Stable id: explicit column, else the course code, else the name (older catalogs)
+    const id = (row['id'] || '').trim() || getCourseCode(row['link']) || row['Exams'];
     return {
-        id: row['Exams'],
+        id: id,
         name: row['Exams'],
         link: row['link'],
         cfu: parseInt(row['CFU']) || 6,
@@ -81,28 +99,188 @@ function processExamRow(row) {
         ssd: row['SSD'],
         pillar: row['Pillar'],
         subpillar: row['Subpillar'],
-        availability: row['avaiability']
+        availability: row['avaiability'],
+        altNames: row['alias'] ? row['alias'].split('|').map(x => x.trim()).filter(x => x) : [],
+        aliases: [],
+        prerequisites: [],
+        recommended: [],
+        alternatives: []
     };
 }
 
 /**
- * Fetches and loads application data (exams and rules).
- * @returns {Promise<{exams: Array, rules: Object|null}>} A promise resolving to an object containing exams and rules.
+ * Records the former ids of the exams, so that saved plans keep resolving after
+ * a course is renamed or re-identified. Plans saved when ids were exam names
+ * resolve through the current name; older names come from the alias map.
+ * @param {Array<Object>} exams - List of exams.
+ * @param {Object<string, string>} aliasMap - Former id or name → current exam id.
+ * @returns {Array<Object>} The same exams, with their `aliases` filled.
+ */
+export function applyAliases(exams, aliasMap = {}) {
+    exams.forEach(exam => {
+        if (exam.name !== exam.id) exam.aliases.push(exam.name);
+    });
+    Object.entries(aliasMap).forEach(([alias, id]) => {
+        const exam = exams.find(e => e.id === id);
+        if (exam && !exam.aliases.includes(alias)) exam.aliases.push(alias);
+    });
+    return exams;
+}
+
+/**
+ * Finds an exam by its current id or by one of its former ids.
+ * @param {Array<Object>} exams - List of exams.
+ * @param {string} id - The exam id, possibly from an older catalog.
+ * @returns {Object|undefined} The exam, if any.
+ */
+export function findExam(exams, id) {
+    if (!id) return undefined;
+    return exams.find(e => e.id === id) || exams.find(e => e.aliases && e.aliases.includes(id));
+}
+
+/**
+ * Manifest used when programmes.json cannot be loaded:
+ * the Computer Science master's degree with the files at the site root.
+ * @type {Object}
+ */
+const DEFAULT_MANIFEST = {
+    default: 'informatica-lm',
+    programmes: [
+        {
+            id: 'informatica-lm',
+            title: { it: 'Informatica Magistrale', en: "Master's Degree in Computer Science" },
+            catalog: 'exams.csv',
+            rules: 'rules.json',
+            aliases: 'aliases.json',
+            relations: 'relations.json',
+            templates: 'templates.json',
+            calendar: 'calendar.json',
+            website: 'https://informatica-lm.cdl.unimi.it/it/insegnamenti/piano-didattico'
+        }
+    ]
+};
+
+/**
+ * Fetches the manifest of the available degree programmes.
+ * Each programme has an id, a localized title, its catalog and rules files,
+ * and optionally an alias map of former exam ids.
+ * @returns {Promise<{default: string, programmes: Array<Object>}>} A promise resolving to the manifest.
+ */
+export async function loadManifest() {
+    try {
+        const response = await fetch('programmes.json');
+        const manifest = await response.json();
+        if (!manifest.programmes || manifest.programmes.length === 0) {
+            throw new Error("No programmes in manifest");
+        }
+        return manifest;
+    } catch (error) {
+        console.error("Failed to load programmes manifest:", error);
+        return DEFAULT_MANIFEST;
+    }
+}
+
+/**
+ * Fetches and loads the data of a degree programme (exams, rules, track templates
+ * and academic calendar).
+ * @param {Object} [programme] - Programme entry from the manifest; defaults to the built-in one.
+ * @returns {Promise<{exams: Array, rules: Object|null, templates: Array, calendar: Object}>}
+ *   A promise resolving to an object containing exams, rules, templates and calendar.
  */
-export async function loadData() {
+export async function loadData(programme = DEFAULT_MANIFEST.programmes[0]) {
     try {
         const [examsResponse, rulesResponse] = await Promise.all([
-            fetch('exams.csv'),
-            fetch('rules.json')
+            fetch(programme.catalog),
+            fetch(programme.rules)
         ]);
 
         const examsText = await examsResponse.text();
         const exams = parseExams(examsText);
         const rules = await rulesResponse.json();
+        applyAliases(exams, await loadOptionalJSON(programme.aliases, "exam aliases"));
+        applyTimetable(exams, await loadOptionalJSON(programme.timetable, "timetable"));
+        applyRelations(exams, await loadOptionalJSON(programme.relations, "exam relations"));
+        const { templates = [] } = await loadOptionalJSON(programme.templates, "track templates");
+        const calendar = normalizeCalendar(await loadOptionalJSON(programme.calendar, "academic calendar"));
 
-        return { exams, rules };
+        return { exams, rules, templates, calendar };
     } catch (error) {
         console.error("Failed to load data:", error);
-        return { exams: [], rules: null };
+        return { exams: [], rules: null, templates: [], calendar: {} };
+    }
+}
+
+/**
+ * Fetches an optional JSON file of a programme (alias map, timetable, templates, calendar).
+ * A missing or broken file only disables the feature relying on it.
+ * @param {string|undefined} path - The file path from the manifest, if any.
+ * @param {string} description - What the file holds, for error messages.
+ * @returns {Promise<Object>} The parsed file, or an empty object.
+ */
+async function loadOptionalJSON(path, description) {
+    if (!path) return {};
+    try {
+        const response = await fetch(path);
+        return await response.json();
+    } catch (error) {
+        console.error(`Failed to load ${description}:`, error);
+        return {};
     }
 }
+
+/**
+ * Attaches the relations between exams: the `prerequisites` that must be taken
+ * before an exam, its `recommended` background, and its `alternatives`, i.e.
+ * the other members of its `equivalent` or `exclusive` groups, of which a plan
+ * may hold only one. Exams may be listed by a former id.
+ * @param {Array<Object>} exams - List of exams.
+ * @param {Object} relations - Relation kind → exam id → ids of the exams it
+ *   builds on, and group kind → lists of exam ids.
+ * @returns {Array<Object>} The same exams, with their relations filled.
+ */
+export function applyRelations(exams, relations = {}) {
+    ['prerequisites', 'recommended'].forEach(kind => {
+        Object.entries(relations[kind] || {}).forEach(([id, required]) => {
+            const exam = findExam(exams, id);
+            if (!exam || !Array.isArray(required)) return;
+            exam[kind] = required
+                .map(requiredId => findExam(exams, requiredId))
+                .filter(other => other && other !== exam)
+                .map(other => other.id);
+        });
+    });
+    ['equivalent', 'exclusive'].forEach(kind => {
+        (relations[kind] || []).forEach(group => {
+            const members = (Array.isArray(group) ? group : [])
+                .map(id => findExam(exams, id))
+                .filter(Boolean);
+            members.forEach(exam => {
+                members
+                    .filter(other => other !== exam)
+                    .forEach(other => exam.alternatives.push({ id: other.id, kind }));
+            });
+        });
+    });
+    return exams;
+}
+
+/**
+ * Attaches the weekly lessons of the timetable to the exams, by starting year
+ * of the academic year. Exams may be listed by a former id.
+ * @param {Array<Object>} exams - List of exams.
+ * @param {Object} timetable - Academic year → exam id → lessons.
+ * @returns {Array<Object>} The same exams, with their `lessons` filled.
+ */
+export function applyTimetable(exams, timetable = {}) {
+    Object.entries(timetable).forEach(([academicYear, courses]) => {
+        const start = parseAcademicYear(academicYear);
+        if (start === null || !courses) return;
+        Object.entries(courses).forEach(([id, lessons]) => {
+            const exam = findExam(exams, id);
+            if (!exam) return;
+            exam.lessons = exam.lessons || {};
+            exam.lessons[start] = normalizeLessons(lessons);
+        });
+    });
+    return exams;
+}
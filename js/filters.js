@@ -0,0 +1,207 @@
+/**
+ * Facet filters of the exam matrix.
+ *
+ * Value facets (language, credits, period, …) select exams having any of the
+ * chosen values; different facets must all match. Status filters depend on the
+ * plan and are evaluated through a context provided by the app.
+ */
+
+/** Value facets, with the function reading the values of an exam. */
+export const FACETS = {
+  language: (exam) => [exam.language],
+  cfu: (exam) => [String(exam.cfu)],
+  period: (exam) => [String(exam.period)],
+  ssd: (exam) => [exam.ssd],
+  // Some catalog rows list the curricula separated by commas
+  ordinamento: (exam) =>
+    exam.ordinamento.flatMap((v) => v.split(/[|,]/)).map((v) => v.trim()),
+  table: (exam) => (exam.rawTable || "").split("|"),
+  availability: (exam) => [exam.availability],
+};
+
+/** URL fragment parameter prefix of the filters. */
+const URL_PREFIX = "f.";
+
+/**
+ * Creates an empty filter state.
+ * @returns {Object} Filters with no facet value selected.
+ */
+export function createFilters() {
+  const filters = { plan: "", availableNow: false, eligible: "" };
+  Object.keys(FACETS).forEach((facet) => (filters[facet] = []));
+  return filters;
+}
+
+/**
+ * Normalizes a filter state read from storage or from the URL.
+ * Unknown keys and malformed values are dropped.
+ * @param {Object} raw - The raw filters.
+ * @returns {Object} The filters.
+ */
+export function normalizeFilters(raw) {
+  const filters = createFilters();
+  if (!raw || typeof raw !== "object") return filters;
+  Object.keys(FACETS).forEach((facet) => {
+    if (Array.isArray(raw[facet])) filters[facet] = raw[facet].map(String);
+  });
+  if (["in", "out"].includes(raw.plan)) filters.plan = raw.plan;
+  filters.availableNow = raw.availableNow === true;
+  if (typeof raw.eligible === "string") filters.eligible = raw.eligible;
+  return filters;
+}
+
+/**
+ * Counts the active filters.
+ * @param {Object} filters - The filters.
+ * @returns {number} The number of selected facet values and status filters.
+ */
+export function countActiveFilters(filters) {
+  return (
+    Object.keys(FACETS).reduce((n, facet) => n + filters[facet].length, 0) +
+    (filters.plan ? 1 : 0) +
+    (filters.availableNow ? 1 : 0) +
+    (filters.eligible ? 1 : 0)
+  );
+}
+
+/**
+ * Checks whether an exam matches the filters.
+ * @param {Object} exam - The exam object.
+ * @param {Object} filters - The filters.
+ * @param {Object} context - Plan-dependent checks.
+ * @param {Function} context.isInPlan - Whether the exam is in the plan.
+ * @param {Function} context.isAvailableNow - Whether the exam is offered in the enrolment year.
+ * @param {Function} context.getAllowedTables - The curriculum tables the exam can fill.
+ * @param {string|null} skipFacet - A value facet to ignore, used for counts.
+ * @returns {boolean} True if the exam matches.
+ */
+export function matchesFilters(exam, filters, context, skipFacet = null) {
+  for (const [facet, valuesOf] of Object.entries(FACETS)) {
+    if (facet === skipFacet || filters[facet].length === 0) continue;
+    if (!valuesOf(exam).some((v) => filters[facet].includes(v))) return false;
+  }
+  if (filters.plan) {
+    const inPlan = context.isInPlan(exam);
+    if ((filters.plan === "in") !== inPlan) return false;
+  }
+  if (filters.availableNow && !context.isAvailableNow(exam)) return false;
+  if (
+    filters.eligible &&
+    !context.getAllowedTables(exam).includes(filters.eligible)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Lists the values of every facet with the number of exams each would show,
+ * given the other active filters.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} filters - The filters.
+ * @param {Object} context - See {@link matchesFilters}.
+ * @returns {Object<string, Array<{value: string, count: number}>>} Values per facet, sorted.
+ */
+export function getFacetCounts(exams, filters, context) {
+  const counts = {};
+  Object.entries(FACETS).forEach(([facet, valuesOf]) => {
+    const values = new Map();
+    exams.forEach((exam) => {
+      valuesOf(exam)
+        .filter((v) => v)
+        .forEach((v) => values.set(v, values.get(v) || 0));
+    });
+    exams
+      .filter((exam) => matchesFilters(exam, filters, context, facet))
+      .forEach((exam) =>
+        new Set(valuesOf(exam).filter((v) => values.has(v))).forEach((v) =>
+          values.set(v, values.get(v) + 1),
+        ),
+      );
+    counts[facet] = [...values.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) =>
+        a.value.localeCompare(b.value, undefined, { numeric: true }),
+      );
+  });
+  return counts;
+}
+
+/**
+ * Counts the exams each status filter would show, given the other active filters.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} filters - The filters.
+ * @param {Object} context - See {@link matchesFilters}.
+ * @param {Array<string>} tables - The curriculum tables.
+ * @returns {{in: number, out: number, availableNow: number, eligible: Object<string, number>}}
+ *   The counts of each plan status, of the available exams and per table.
+ */
+export function getStatusCounts(exams, filters, context, tables) {
+  const count = (override) =>
+    exams.filter((exam) =>
+      matchesFilters(exam, { ...filters, ...override }, context),
+    ).length;
+  const eligible = {};
+  tables.forEach((table) => (eligible[table] = count({ eligible: table })));
+  return {
+    in: count({ plan: "in" }),
+    out: count({ plan: "out" }),
+    availableNow: count({ availableNow: true }),
+    eligible,
+  };
+}
+
+/**
+ * Encodes the active filters as URL fragment parameters (e.g. `f.language=ENG`).
+ * @param {Object} filters - The filters.
+ * @returns {URLSearchParams} The parameters; empty if no filter is active.
+ */
+export function encodeFilters(filters) {
+  const params = new URLSearchParams();
+  Object.keys(FACETS).forEach((facet) => {
+    if (filters[facet].length > 0) {
+      params.set(URL_PREFIX + facet, filters[facet].join(","));
+    }
+  });
+  if (filters.plan) params.set(URL_PREFIX + "plan", filters.plan);
+  if (filters.availableNow) params.set(URL_PREFIX + "availableNow", "1");
+  if (filters.eligible) params.set(URL_PREFIX + "eligible", filters.eligible);
+  return params;
+}
+
+/**
+ * Reads filters from a URL fragment.
+ * @param {string} hash - The URL fragment (e.g. `location.hash`).
+ * @returns {Object|null} The filters, or null if the fragment has none.
+ */
+export function decodeFilters(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const keys = [...params.keys()].filter((k) => k.startsWith(URL_PREFIX));
+  if (keys.length === 0) return null;
+
+  const raw = {};
+  keys.forEach((key) => {
+    const name = key.slice(URL_PREFIX.length);
+    const value = params.get(key);
+    raw[name] = FACETS[name] ? value.split(",").filter((v) => v) : value;
+  });
+  raw.availableNow = raw.availableNow === "1";
+  return normalizeFilters(raw);
+}
+
+/**
+ * Replaces the filter parameters of a URL fragment, keeping the others
+ * (e.g. a shared plan).
+ * @param {string} hash - The current URL fragment.
+ * @param {Object} filters - The filters.
+ * @returns {string} The new fragment, with its "#", or "" if empty.
+ */
+export function withFilters(hash, filters) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  [...params.keys()]
+    .filter((k) => k.startsWith(URL_PREFIX))
+    .forEach((k) => params.delete(k));
+  encodeFilters(filters).forEach((value, key) => params.set(key, value));
+  const text = params.toString();
+  return text ? "#" + text : "";
+}
@@ -21,10 +21,9 @@ export const messages = {
         loading: "Caricamento dati...",
         configure_plan: "Configura il tuo Piano",
         select_year_curriculum: "Seleziona l'anno di riferimento e il tuo ordinamento.",
+        programme: "Corso di Laurea",
         current_academic_year: "Anno Accademico corrente",
         curriculum: "Ordinamento",
-        fba_description: "FBA (Immatricolati dal 2025/26)",
-        f94_description: "F94 (Immatricolati dal 2014/15 al 2024/25)",
         start_composition: "Inizia la composizione",
         
         your_plan: "Il tuo Piano",
@@ -36,9 +35,71 @@ export const messages = {
         ok: "OK",
         no_exam_selected: "Nessun esame selezionato.",
         
-        main_title: "Informatica Magistrale",
-        search_placeholder: "Cerca esame per nome...",
+        search_placeholder: "Cerca per nome o SSD, in italiano o inglese...",
+        filters: "Filtri",
+        filters_title: "Filtra gli esami per lingua, crediti, periodo e altro",
+        filters_clear: "Azzera filtri",
+        filters_empty: "Nessun esame corrisponde ai filtri.",
+        facet_language: "Lingua",
+        facet_cfu: "CFU",
+        facet_period: "Quadrimestre",
+        facet_ssd: "SSD",
+        facet_ordinamento: "Ordinamento",
+        facet_table: "Tabella",
+        facet_availability: "Disponibilità",
+        filter_status: "Piano",
+        filter_in_plan: "Nel piano",
+        filter_out_plan: "Non nel piano",
+        filter_available_now: "Disponibili nel {year}",
+        filter_eligible: "Valido per la tabella",
+        filter_any_table: "Qualsiasi",
         download_csv: "Scarica CSV",
+        ics: "iCal",
+        ics_title: "Scarica i corsi della timeline come calendario (.ics)",
+        ics_exported: "Calendario scaricato: {count} corsi",
+        ics_dialog_title: "Esporta calendario",
+        ics_included: "Corsi nel calendario ({count})",
+        ics_missing: "Esclusi perché mancano le date del loro quadrimestre ({count})",
+        ics_unscheduled: "Esclusi perché senza collocazione nella timeline ({count})",
+        ics_estimated: "Alcune date dei quadrimestri sono indicative: verificale sul calendario ufficiale.",
+        ics_download: "Scarica .ics",
+        ics_no_dates: "Mancano le date dei quadrimestri degli anni del piano",
+        ics_empty: "Nessun corso collocato nella timeline",
+        submission: "Codici",
+        submission_button_title: "Elenco dei codici degli insegnamenti per la presentazione del piano",
+        submission_title: "Presentazione del piano",
+        submission_intro: "I codici delle attività, tabella per tabella, nell'ordine del modulo online. Cerca ogni codice, poi spunta l'esame; gli obbligatori sono già inseriti dalla segreteria.",
+        submission_copy: "Copia checklist",
+        submission_download: "Scarica",
+        submission_copy_code: "Copia il codice",
+        submission_done: "Inserito",
+        submission_empty: "Nessun esame da inserire",
+        submission_code_copied: "Codice {code} copiato",
+        submission_checklist_copied: "Checklist copiata negli appunti",
+        submission_copy_prompt: "Copia il testo:",
+        submission_issue_custom: "Esame esterno: da inserire a mano",
+        submission_issue_missing: "Link mancante: cerca l'esame per nome",
+        submission_issue_malformed: "Il link non contiene il codice: cerca l'esame per nome",
+        submission_issues_custom: "Esami esterni da inserire a mano",
+        submission_issues_missing: "Esami senza link",
+        submission_issues_malformed: "Esami con link senza codice",
+        report: "Resoconto",
+        report_button_title: "Apri un resoconto stampabile del piano",
+        report_title: "Piano di studi",
+        report_print: "Stampa o salva PDF",
+        report_download: "Scarica HTML",
+        report_scenario: "Scenario",
+        report_enrolment: "Anno di immatricolazione",
+        report_duration: "Durata",
+        report_generated: "Generato il",
+        report_status: "Stato del piano",
+        report_valid: "Piano valido",
+        report_invalid: "Piano non ancora valido",
+        report_exam: "Esame",
+        report_when: "Anno e quadrimestre",
+        report_outcome: "Esito",
+        report_no_exams: "Nessun esame",
+        report_disclaimer: "Resoconto indicativo generato con UNIMI Study Plan Composer: non sostituisce la presentazione ufficiale del piano di studi.",
         reset_title: "Resetta tutto",
         reset: "Reset",
         configure: "Configura",
@@ -62,14 +123,188 @@ export const messages = {
         mandatory_incomplete: "Obbligatori: Piano incompleto",
         total_cfu_status: "Totale: {current}/{min} CFU",
         table_missing_cfu: "Tabella {table}: Mancano {missing} CFU",
-        sum_bc_label: "Somma Tabelle B + C",
-        sum_bc_missing: "Somma delle tabelle B e C insufficiente: mancano {missing} CFU",
+        table_exceeds_cfu: "Tabella {table}: {excess} CFU oltre il massimo",
+        sum_label: "Somma Tabelle {tables}",
+        sum_missing: "Somma delle tabelle {tables} insufficiente: mancano {missing} CFU",
+        pins_block_valid_plan: "Le assegnazioni bloccate impediscono un piano valido. Sblocca: {exams}",
+        pin_assignment: "Blocca la tabella",
+        unpin_assignment: "Sblocca la tabella",
+
+        placement_why: "Perché questa tabella?",
+        trace_mandatory: "Attività obbligatoria per tutti i piani.",
+        trace_pinned: "Tabella {table} scelta e bloccata da te.",
+        trace_custom: "Esame esterno: può contare solo nei Facoltativi.",
+        trace_no_tables: "Nessuna tabella del tuo ordinamento lo ammette: può contare solo nei Facoltativi.",
+        trace_allowed: "Tabelle ammesse: {tables}.",
+        trace_full: "Tabelle già complete: {tables}.",
+        trace_sum_exception: "Inserito in {table} oltre il minimo della tabella per raggiungere la somma {tables} ({min} CFU).",
+        trace_skipped: "Non inserito in {tables}: altri esami soddisfano più requisiti in quella tabella.",
+        trace_free_used: "Conteggiato nei CFU a libera scelta (Facoltativi).",
+        trace_free_full: "I Facoltativi hanno già raggiunto {limit} CFU.",
+        trace_plan_full: "Il piano ha già raggiunto {total} CFU.",
+        trace_free_skipped: "Non conteggiato nei Facoltativi: altri esami li completano meglio.",
         
-        available_from: "Disponibile dal {date}",
-        next_activation_even: "Prossima attivazione: Anni Pari (es. 2026/27)",
-        next_activation_odd: "Prossima attivazione: Anni Dispari (es. 2027/28)",
+        next_activation: "Prossima attivazione: {year}",
+        not_offered: "Non più attivato",
+        availability_unparsed: "Disponibilità non riconosciuta, esami considerati sempre attivi: {exams}",
+
+        timeline: "Calendario",
+        timeline_title: "Calendario del piano per anno e quadrimestre",
+        timeline_duration: "Durata",
+        timeline_years: "{n} anni",
+        year_n: "{n}° anno",
+        timeline_move_year: "Anno in cui sostenere l'esame",
+        timeline_move_period: "Quadrimestre",
+        timeline_unscheduled_title: "Da collocare",
+        timeline_overloaded: "{year}, {period}: {cfu} CFU, oltre il massimo consigliato di {max}",
+        timeline_empty: "{year}, {period}: nessun esame",
+        timeline_not_offered: "{exam} non è attivato nel {year}",
+        timeline_unscheduled: "{count} esami non collocati nel calendario",
+
+        week: "Orario",
+        week_title: "Orario settimanale delle lezioni",
+        week_hint: "Sono mostrati gli esami collocati nell'anno e nel quadrimestre scelti; in arancione le lezioni sovrapposte.",
+        timetable_overlap: "Sovrapposizione",
+        prerequisite_missing: "{exam} richiede {required}, che non è nel piano",
+        recommended_missing: "{exam}: è consigliato sostenere anche {required}",
+        background_scheduled_later: "{exam} è collocato prima di {required}, su cui si basa",
+        relation_background: "Propedeutico",
+        relation_dependent: "Si basa su questo",
+        complete_plan: "Completa il piano",
+        complete_plan_title: "Proponi esami che chiudono i crediti mancanti",
+        completion_pillars: "Pillar preferiti",
+        completion_language: "Lingua",
+        completion_any_language: "Qualsiasi",
+        completion_avoid_periods: "Quadrimestri da evitare",
+        completion_excluded: "Esami esclusi",
+        completion_exclude: "Escludi questo esame",
+        completion_include: "Includi di nuovo",
+        completion_proposal: "Proposta {n}",
+        completion_valid: "Il piano sarebbe valido",
+        completion_apply: "Applica",
+        completion_applied: "{count} esami aggiunti al piano.",
+        completion_none: "Nessuna combinazione di esami disponibili chiude i crediti mancanti con queste preferenze.",
+        templates: "Modelli",
+        templates_title: "Piani di partenza curati per ogni pillar",
+        templates_intro: "Ogni modello crea un nuovo scenario con un piano completo: il piano attuale resta invariato.",
+        templates_none: "Nessun modello disponibile per questo curriculum.",
+        template_unavailable: "Non attivo negli anni del piano",
+        template_missing: "Non più nel catalogo",
+        template_substitute: "Sostituisci con",
+        template_leave_out: "Nessuno (escludi)",
+        template_credits: "{cfu} CFU disponibili",
+        template_apply: "Crea scenario",
+        template_applied: "Scenario \"{name}\" creato: il piano è valido.",
+        template_applied_incomplete: "Scenario \"{name}\" creato: il piano va ancora completato.",
+        status_planned: "Da sostenere",
+        status_attending: "In corso",
+        status_passed: "Superato",
+        status_title: "Stato dell'esame",
+        grade: "Voto",
+        exam_date: "Data dell'esame",
+        progress_title: "Carriera",
+        progress_earned: "CFU acquisiti",
+        progress_attending: "{cfu} CFU in corso",
+        progress_passed_count: "{count} esami superati",
+        progress_average: "Media ponderata",
+        progress_average_note: "Media dei voti pesata sui CFU; gli esami Fuori Piano non contano.",
+        progress_start_score: "Voto di partenza stimato",
+        progress_start_score_note: "Media ponderata riportata su {scale}, prima dei punti della tesi.",
+        preview_add: "Aggiungendo {exam}",
+        preview_remove: "Rimuovendo {exam}",
+        preview_lands_in: "Finirebbe in {table}",
+        preview_pushed_out: "{name} passerebbe in Fuori Piano",
+        preview_moved: "{name} passerebbe da {from} a {to}",
+        preview_becomes_valid: "Il piano diventerebbe valido",
+        preview_becomes_invalid: "Il piano non sarebbe più valido",
+        alternative_of: "Alternativo a {exam}",
+        alternative_refused: "Non aggiunto: è un'alternativa di {exam}, già nel piano.",
+        alternatives_in_plan_equivalent: "{a} e {b} sono equivalenti: può essere conteggiato solo uno dei due",
+        alternatives_in_plan_exclusive: "{a} e {b} si escludono a vicenda: rimuovine uno",
+        import_conflict_alternative: "Equivalente a un esame già importato: ignorato",
+        timetable_clash_with: "Lezioni sovrapposte con: {exams}",
+        timetable_clash: "Lezioni sovrapposte: {a} e {b} ({year}, {day} {time})",
+        weekday_1: "Lun",
+        weekday_2: "Mar",
+        weekday_3: "Mer",
+        weekday_4: "Gio",
+        weekday_5: "Ven",
+        weekday_6: "Sab",
+        weekday_7: "Dom",
         
         reset_confirm: "Sei sicuro di voler resettare il piano? Perderai tutte le selezioni effettuate.",
+
+        scenario: "Scenario",
+        default_scenario_name: "Piano principale",
+        scenario_default_new: "Scenario {n}",
+        scenario_copy_of: "{name} (copia)",
+        scenario_name_prompt: "Nome dello scenario:",
+        scenario_delete_confirm: "Eliminare lo scenario \"{name}\"?",
+        new_scenario: "Nuovo scenario",
+        duplicate_scenario: "Duplica",
+        rename_scenario: "Rinomina",
+        delete_scenario: "Elimina",
+        compare_scenarios: "Confronta",
+        compare_title: "Confronto scenari",
+        compare_hint: "Seleziona da 2 a 3 scenari da confrontare.",
+        plan_valid: "Valido",
+        plan_invalid: "Non valido",
+        only_in_scenario: "Esami diversi",
+        no_differences: "Nessuna differenza",
+        compare_curricula: "Confronta ordinamenti",
+        compare_curricula_title: "Confronto ordinamenti",
+        compare_curricula_hint: "Gli esami del piano attivo, assegnati alle tabelle di ogni ordinamento. Il piano salvato non cambia.",
+        compare_current: "attuale",
+        compare_out_of_plan: "CFU Fuori Piano",
+        compare_only_here: "Solo in questo ordinamento",
+        compare_exam_tables: "Tabella di ogni esame",
+        compare_free_only: "Solo Facoltativi",
+        compare_free_only_title: "Nessuna tabella di questo ordinamento lo ammette: può contare solo nei Facoltativi",
+        close: "Chiudi",
+
+        share: "Condividi",
+        share_title: "Copia un link al tuo piano",
+        share_link_copied: "Link al piano copiato negli appunti.",
+        share_link_prompt: "Copia questo link per condividere il piano:",
+        shared_plan_title: "Piano condiviso",
+        shared_plan_readonly: "Anteprima in sola lettura. Il tuo piano non è stato modificato.",
+        shared_plan_progress: "Il link condivide esami, tabelle e calendario, non stati e voti.",
+        shared_plan_malformed: "Il link condiviso non è valido o è danneggiato.",
+        shared_unknown_exams: "Esami non trovati nel catalogo (ignorati): {exams}",
+        shared_scenario_name: "Piano condiviso",
+        import_shared: "Importa come mio piano",
+        shared_imported: "Piano importato come nuovo scenario.",
+
+        import_plan: "Importa",
+        import_title: "Importa un piano da CSV o backup JSON",
+        download_backup: "Backup",
+        download_backup_title: "Scarica un backup JSON completo del piano",
+        import_preview_title: "Importa piano",
+        import_error_format: "Il file non è un CSV esportato da questo sito né un backup JSON valido.",
+        import_error_read: "Impossibile leggere il file.",
+        import_matched: "Esami trovati nel catalogo ({count})",
+        import_unmatched: "Esami non trovati: diventeranno esami esterni ({count})",
+        import_conflicts: "Conflitti ({count})",
+        import_conflict_duplicate: "Duplicato: ignorato",
+        import_conflict_cfu_invalid: "CFU non validi: ignorato",
+        import_conflict_cfu: "CFU diversi dal catalogo: usati quelli del catalogo",
+        import_conflict_table: "Tabella non valida: sarà assegnata automaticamente",
+        import_replace_warning: "Il piano corrente dello scenario attivo verrà sostituito.",
+        import_programme_switch: "Questo backup appartiene al corso {programme}: importandolo passerai a quel corso.",
+        import_programme_unknown: "Questo backup appartiene a un corso non disponibile ({programme}): gli esami sono confrontati con il catalogo corrente.",
+        import_confirm: "Sostituisci il piano",
+        import_done: "Piano importato.",
+        cancel: "Annulla",
+
+        restore_notice_title: "Il piano salvato è stato aggiornato al catalogo corrente",
+        storage_error_title: "Piani salvati illeggibili",
+        storage_error_text: "i piani salvati in questo browser sono danneggiati o sono stati salvati da una versione più recente del sito. Non verranno sovrascritti: scaricane una copia, oppure cancellali per ricominciare. Fino ad allora le modifiche non vengono salvate.",
+        storage_error_download: "Scarica copia",
+        storage_error_reset: "Cancella e ricomincia",
+        storage_error_reset_confirm: "I piani salvati illeggibili verranno sostituiti dal piano attuale. Continuare?",
+        restore_dropped: "Rimosso: {name} (non più nel catalogo)",
+        restore_renamed: "Rinominato: {from} → {to}",
+        restore_reassigned: "Riassegnato: {name} ({from} → {to})",
         facoltativo_label: "Facoltativo",
         
         csv_mandatory: "Mandatory",
@@ -85,10 +320,9 @@ export const messages = {
         loading: "Loading data...",
         configure_plan: "Configure your Plan",
         select_year_curriculum: "Select the reference year and your curriculum.",
+        programme: "Degree Programme",
         current_academic_year: "Current Academic Year",
         curriculum: "Curriculum",
-        fba_description: "FBA (Enrolled from 2025/26)",
-        f94_description: "F94 (Enrolled from 2014/15 to 2024/25)",
         start_composition: "Start composition",
         
         your_plan: "Your Plan",
@@ -100,9 +334,71 @@ export const messages = {
         ok: "OK",
         no_exam_selected: "No exam selected.",
         
-        main_title: "Master's Degree in Computer Science",
-        search_placeholder: "Search exam by name...",
+        search_placeholder: "Search by name or SSD, in English or Italian...",
+        filters: "Filters",
+        filters_title: "Filter exams by language, credits, term and more",
+        filters_clear: "Clear filters",
+        filters_empty: "No exam matches the filters.",
+        facet_language: "Language",
+        facet_cfu: "Credits",
+        facet_period: "Term",
+        facet_ssd: "SSD",
+        facet_ordinamento: "Regulation",
+        facet_table: "Table",
+        facet_availability: "Availability",
+        filter_status: "Plan",
+        filter_in_plan: "In the plan",
+        filter_out_plan: "Not in the plan",
+        filter_available_now: "Available in {year}",
+        filter_eligible: "Eligible for table",
+        filter_any_table: "Any",
         download_csv: "Download CSV",
+        ics: "iCal",
+        ics_title: "Download the courses of the timeline as a calendar (.ics)",
+        ics_exported: "Calendar downloaded: {count} courses",
+        ics_dialog_title: "Export calendar",
+        ics_included: "Courses in the calendar ({count})",
+        ics_missing: "Left out because the dates of their period are missing ({count})",
+        ics_unscheduled: "Left out because they have no place in the timeline ({count})",
+        ics_estimated: "Some period dates are estimates: check them against the official calendar.",
+        ics_download: "Download .ics",
+        ics_no_dates: "The dates of the periods of the plan years are missing",
+        ics_empty: "No course is scheduled in the timeline",
+        submission: "Codes",
+        submission_button_title: "List of the course codes for the plan submission",
+        submission_title: "Plan submission",
+        submission_intro: "The activity codes, table by table, in the order of the online form. Search each code, then tick the exam; mandatory activities are already entered by the office.",
+        submission_copy: "Copy checklist",
+        submission_download: "Download",
+        submission_copy_code: "Copy the code",
+        submission_done: "Entered",
+        submission_empty: "No exam to enter",
+        submission_code_copied: "Code {code} copied",
+        submission_checklist_copied: "Checklist copied to the clipboard",
+        submission_copy_prompt: "Copy the text:",
+        submission_issue_custom: "External exam: enter it by hand",
+        submission_issue_missing: "Missing link: search the exam by name",
+        submission_issue_malformed: "The link has no code: search the exam by name",
+        submission_issues_custom: "External exams to enter by hand",
+        submission_issues_missing: "Exams without a link",
+        submission_issues_malformed: "Exams whose link has no code",
+        report: "Report",
+        report_button_title: "Open a printable report of the plan",
+        report_title: "Study plan",
+        report_print: "Print or save as PDF",
+        report_download: "Download HTML",
+        report_scenario: "Scenario",
+        report_enrolment: "Enrolment year",
+        report_duration: "Duration",
+        report_generated: "Generated on",
+        report_status: "Plan status",
+        report_valid: "Valid plan",
+        report_invalid: "Plan not valid yet",
+        report_exam: "Exam",
+        report_when: "Year and term",
+        report_outcome: "Outcome",
+        report_no_exams: "No exams",
+        report_disclaimer: "Indicative report generated with UNIMI Study Plan Composer: it does not replace the official submission of the study plan.",
         reset_title: "Reset all",
         reset: "Reset",
         configure: "Configure",
@@ -126,14 +422,188 @@ export const messages = {
         mandatory_incomplete: "Mandatory: Plan incomplete",
         total_cfu_status: "Total: {current}/{min} CFU",
         table_missing_cfu: "Table {table}: Missing {missing} CFU",
-        sum_bc_label: "Sum Tables B + C",
-        sum_bc_missing: "Sum of tables B and C insufficient: missing {missing} CFU",
+        table_exceeds_cfu: "Table {table}: {excess} CFU over the maximum",
+        sum_label: "Sum Tables {tables}",
+        sum_missing: "Sum of tables {tables} insufficient: missing {missing} CFU",
+        pins_block_valid_plan: "Locked assignments prevent a valid plan. Unlock: {exams}",
+        pin_assignment: "Lock the table",
+        unpin_assignment: "Unlock the table",
+
+        placement_why: "Why this table?",
+        trace_mandatory: "Mandatory activity for every plan.",
+        trace_pinned: "Table {table} chosen and locked by you.",
+        trace_custom: "External exam: it can only count as Optional.",
+        trace_no_tables: "No table of your curriculum accepts it: it can only count as Optional.",
+        trace_allowed: "Allowed tables: {tables}.",
+        trace_full: "Tables already complete: {tables}.",
+        trace_sum_exception: "Placed in {table} beyond the table minimum to reach the {tables} sum ({min} CFU).",
+        trace_skipped: "Not placed in {tables}: other exams meet more requirements there.",
+        trace_free_used: "Counted in the free-choice credits (Optional).",
+        trace_free_full: "Optional credits already reached {limit} CFU.",
+        trace_plan_full: "The plan already reached {total} CFU.",
+        trace_free_skipped: "Not counted as Optional: other exams fill those credits better.",
         
-        available_from: "Available from {date}",
-        next_activation_even: "Next activation: Even Years (e.g. 2026/27)",
-        next_activation_odd: "Next activation: Odd Years (e.g. 2027/28)",
+        next_activation: "Next activation: {year}",
+        not_offered: "No longer offered",
+        availability_unparsed: "Unrecognized availability, exams considered always offered: {exams}",
+
+        timeline: "Timeline",
+        timeline_title: "Plan timeline by year and term",
+        timeline_duration: "Duration",
+        timeline_years: "{n} years",
+        year_n: "Year {n}",
+        timeline_move_year: "Year in which to take the exam",
+        timeline_move_period: "Term",
+        timeline_unscheduled_title: "To schedule",
+        timeline_overloaded: "{year}, {period}: {cfu} CFU, above the recommended maximum of {max}",
+        timeline_empty: "{year}, {period}: no exams",
+        timeline_not_offered: "{exam} is not offered in {year}",
+        timeline_unscheduled: "{count} exams not scheduled in the timeline",
+
+        week: "Timetable",
+        week_title: "Weekly lesson timetable",
+        week_hint: "Shows the exams scheduled in the chosen year and term; overlapping lessons are in orange.",
+        timetable_overlap: "Overlap",
+        prerequisite_missing: "{exam} requires {required}, which is not in the plan",
+        recommended_missing: "{exam}: taking {required} as well is recommended",
+        background_scheduled_later: "{exam} is scheduled before {required}, which it builds on",
+        relation_background: "Background",
+        relation_dependent: "Builds on this",
+        complete_plan: "Complete my plan",
+        complete_plan_title: "Suggest exams closing the missing credits",
+        completion_pillars: "Favoured pillars",
+        completion_language: "Language",
+        completion_any_language: "Any",
+        completion_avoid_periods: "Terms to avoid",
+        completion_excluded: "Excluded exams",
+        completion_exclude: "Exclude this exam",
+        completion_include: "Include again",
+        completion_proposal: "Proposal {n}",
+        completion_valid: "The plan would be valid",
+        completion_apply: "Apply",
+        completion_applied: "{count} exams added to the plan.",
+        completion_none: "No combination of available exams closes the missing credits with these preferences.",
+        templates: "Templates",
+        templates_title: "Curated starter plans for each pillar",
+        templates_intro: "Each template creates a new scenario with a complete plan: your current plan stays as it is.",
+        templates_none: "No template is available for this curriculum.",
+        template_unavailable: "Not offered in the years of the plan",
+        template_missing: "No longer in the catalog",
+        template_substitute: "Replace with",
+        template_leave_out: "None (leave out)",
+        template_credits: "{cfu} CFU available",
+        template_apply: "Create scenario",
+        template_applied: "Scenario \"{name}\" created: the plan is valid.",
+        template_applied_incomplete: "Scenario \"{name}\" created: the plan still needs to be completed.",
+        status_planned: "Planned",
+        status_attending: "Attending",
+        status_passed: "Passed",
+        status_title: "Exam status",
+        grade: "Grade",
+        exam_date: "Exam date",
+        progress_title: "Progress",
+        progress_earned: "Credits earned",
+        progress_attending: "{cfu} CFU being attended",
+        progress_passed_count: "{count} exams passed",
+        progress_average: "Weighted average",
+        progress_average_note: "Average of the grades weighted by credits; Out of Plan exams do not count.",
+        progress_start_score: "Estimated starting score",
+        progress_start_score_note: "Weighted average scaled to {scale}, before the thesis points.",
+        preview_add: "Adding {exam}",
+        preview_remove: "Removing {exam}",
+        preview_lands_in: "It would land in {table}",
+        preview_pushed_out: "{name} would move to Out of Plan",
+        preview_moved: "{name} would move from {from} to {to}",
+        preview_becomes_valid: "The plan would become valid",
+        preview_becomes_invalid: "The plan would no longer be valid",
+        alternative_of: "Alternative to {exam}",
+        alternative_refused: "Not added: it is an alternative to {exam}, already in the plan.",
+        alternatives_in_plan_equivalent: "{a} and {b} are equivalent: only one of them can count",
+        alternatives_in_plan_exclusive: "{a} and {b} are mutually exclusive: remove one of them",
+        import_conflict_alternative: "Equivalent to an exam already imported: ignored",
+        timetable_clash_with: "Lessons overlap with: {exams}",
+        timetable_clash: "Overlapping lessons: {a} and {b} ({year}, {day} {time})",
+        weekday_1: "Mon",
+        weekday_2: "Tue",
+        weekday_3: "Wed",
+        weekday_4: "Thu",
+        weekday_5: "Fri",
+        weekday_6: "Sat",
+        weekday_7: "Sun",
         
         reset_confirm: "Are you sure you want to reset the plan? You will lose all selections made.",
+
+        scenario: "Scenario",
+        default_scenario_name: "Main plan",
+        scenario_default_new: "Scenario {n}",
+        scenario_copy_of: "{name} (copy)",
+        scenario_name_prompt: "Scenario name:",
+        scenario_delete_confirm: "Delete the scenario \"{name}\"?",
+        new_scenario: "New scenario",
+        duplicate_scenario: "Duplicate",
+        rename_scenario: "Rename",
+        delete_scenario: "Delete",
+        compare_scenarios: "Compare",
+        compare_title: "Scenario comparison",
+        compare_hint: "Select 2 to 3 scenarios to compare.",
+        plan_valid: "Valid",
+        plan_invalid: "Not valid",
+        only_in_scenario: "Different exams",
+        no_differences: "No differences",
+        compare_curricula: "Compare regulations",
+        compare_curricula_title: "Regulation comparison",
+        compare_curricula_hint: "The exams of the active plan, assigned to the tables of each regulation. The saved plan does not change.",
+        compare_current: "current",
+        compare_out_of_plan: "Out of Plan credits",
+        compare_only_here: "Only in this regulation",
+        compare_exam_tables: "Table of each exam",
+        compare_free_only: "Optional only",
+        compare_free_only_title: "No table of this regulation admits it: it can only count as Optional",
+        close: "Close",
+
+        share: "Share",
+        share_title: "Copy a link to your plan",
+        share_link_copied: "Plan link copied to the clipboard.",
+        share_link_prompt: "Copy this link to share the plan:",
+        shared_plan_title: "Shared plan",
+        shared_plan_readonly: "Read-only preview. Your plan has not been changed.",
+        shared_plan_progress: "The link shares exams, tables and timeline, not statuses and grades.",
+        shared_plan_malformed: "The shared link is invalid or damaged.",
+        shared_unknown_exams: "Exams not found in the catalog (ignored): {exams}",
+        shared_scenario_name: "Shared plan",
+        import_shared: "Import as my plan",
+        shared_imported: "Plan imported as a new scenario.",
+
+        import_plan: "Import",
+        import_title: "Import a plan from CSV or JSON backup",
+        download_backup: "Backup",
+        download_backup_title: "Download a full JSON backup of the plan",
+        import_preview_title: "Import plan",
+        import_error_format: "The file is neither a CSV exported by this site nor a valid JSON backup.",
+        import_error_read: "The file could not be read.",
+        import_matched: "Exams found in the catalog ({count})",
+        import_unmatched: "Exams not found: they will become external exams ({count})",
+        import_conflicts: "Conflicts ({count})",
+        import_conflict_duplicate: "Duplicate: ignored",
+        import_conflict_cfu_invalid: "Invalid CFU: ignored",
+        import_conflict_cfu: "CFU differ from the catalog: catalog CFU used",
+        import_conflict_table: "Invalid table: it will be assigned automatically",
+        import_replace_warning: "The current plan of the active scenario will be replaced.",
+        import_programme_switch: "This backup belongs to the {programme} programme: importing it will switch to that programme.",
+        import_programme_unknown: "This backup belongs to a programme that is not available ({programme}): exams are matched against the current catalog.",
+        import_confirm: "Replace plan",
+        import_done: "Plan imported.",
+        cancel: "Cancel",
+
+        restore_notice_title: "The saved plan was updated to the current catalog",
+        storage_error_title: "Unreadable saved plans",
+        storage_error_text: "the plans saved in this browser are damaged or were saved by a newer version of the site. They will not be overwritten: download a copy, or delete them to start over. Until then, changes are not saved.",
+        storage_error_download: "Download copy",
+        storage_error_reset: "Delete and start over",
+        storage_error_reset_confirm: "The unreadable saved plans will be replaced by the current plan. Continue?",
+        restore_dropped: "Removed: {name} (no longer in the catalog)",
+        restore_renamed: "Renamed: {from} → {to}",
+        restore_reassigned: "Reassigned: {name} ({from} → {to})",
         facoltativo_label: "Optional",
         
         csv_mandatory: "Mandatory",
@@ -158,6 +628,17 @@ export function t(key, params = {}) {
     return text;
 }
 
+/**
+ * Picks the current language's text from a localized value in the data files
+ * (e.g. {it: "...", en: "..."}). Plain strings are returned as they are.
+ * @param {Object|string} value - The localized value.
+ * @returns {string} The text in the current language, or in English as a fallback.
+ */
+export function localize(value) {
+    if (!value || typeof value === 'string') return value || '';
+    return value[currentLang.value] || value.en || Object.values(value)[0] || '';
+}
+
 /**
  * Toggles the current language between Italian ('it') and English ('en').
  */
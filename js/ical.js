@@ -0,0 +1,295 @@
+import { parseAcademicYear } from "./availability.js";
+import { formatTime } from "./timetable.js";
+
+/**
+ * iCalendar (.ics) export of the plan, built entirely in the browser.
+ *
+ * The dates of the teaching periods come from the optional academic calendar
+ * file of the programme:
+ *
+ *     { "2025/2026": { "1": { "start": "2025-09-29", "end": "2025-12-19" } } }
+ *
+ * A year marked `"estimated": true` holds provisional dates, to be replaced
+ * once the faculty publishes its calendar; the export warns about them.
+ *
+ * Every course scheduled in the timeline becomes one event series over its
+ * period: weekly lessons when the programme has a timetable for it, otherwise
+ * a single all-day event spanning the whole period.
+ */
+
+/** Time zone of the lessons. */
+const TIME_ZONE = "Europe/Rome";
+
+/** Definition of the time zone, so that clients need no database of their own. */
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  "TZID:" + TIME_ZONE,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/** Domain of the event UIDs. */
+const UID_DOMAIN = "unimi-studyplan-composer";
+
+/** iCalendar codes of the ISO weekdays (1 = Monday). */
+const WEEKDAY_CODES = ["", "MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+/**
+ * Parses a calendar date.
+ * @param {string} text - The date, e.g. "2025-09-29".
+ * @returns {Date|null} The date at midnight UTC, or null if malformed.
+ */
+function parseDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text || "")) return null;
+  const date = new Date(text + "T00:00:00Z");
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Formats a date as an iCalendar date, e.g. "20250929".
+ * @param {Date} date - The date (UTC).
+ * @returns {string} The date.
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Adds days to a date.
+ * @param {Date} date - The date (UTC).
+ * @param {number} days - The days to add.
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+/**
+ * Normalizes the academic calendar, dropping malformed periods.
+ * @param {Object} raw - Academic year → period → `{start, end}` dates.
+ * @returns {Object<number, Object<number, {start: Date, end: Date,
+ *   estimated: boolean}>>} The periods by starting year of the academic year.
+ */
+export function normalizeCalendar(raw) {
+  const calendar = {};
+  Object.entries(raw || {}).forEach(([academicYear, periods]) => {
+    const year = parseAcademicYear(academicYear);
+    if (year === null || !periods) return;
+    const { estimated, ...dated } = periods;
+    Object.entries(dated).forEach(([period, dates]) => {
+      const start = parseDate(dates && dates.start);
+      const end = parseDate(dates && dates.end);
+      if (!start || !end || end < start) return;
+      calendar[year] = calendar[year] || {};
+      calendar[year][parseInt(period)] = {
+        start,
+        end,
+        estimated: estimated === true,
+      };
+    });
+  });
+  return calendar;
+}
+
+/**
+ * Escapes a text value for iCalendar.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets, as required by
+ * RFC 5545. Continuation lines start with a space.
+ * @param {string} line - The content line.
+ * @returns {string} The folded line, with CRLF line breaks.
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Builds the events of one course over its teaching period.
+ * @param {Object} course - The course.
+ * @param {string} course.uid - Unique id of the course in the plan.
+ * @param {string} course.summary - The event title.
+ * @param {string} course.description - The event description.
+ * @param {string} course.url - The course page, if any.
+ * @param {Array<Object>} course.lessons - Weekly lessons (times in minutes).
+ * @param {{start: Date, end: Date}} dates - The teaching period.
+ * @param {string} stamp - The creation timestamp (UTC).
+ * @returns {Array<string>} The content lines of the events.
+ */
+function buildEvents(
+  { uid, summary, description, url, lessons },
+  dates,
+  stamp,
+) {
+  const common = [
+    "DTSTAMP:" + stamp,
+    "SUMMARY:" + escapeText(summary),
+    "DESCRIPTION:" + escapeText(description),
+    ...(url ? ["URL:" + url] : []),
+  ];
+
+  if (lessons.length === 0) {
+    return [
+      "BEGIN:VEVENT",
+      "UID:" + uid + "@" + UID_DOMAIN,
+      ...common,
+      "DTSTART;VALUE=DATE:" + formatDate(dates.start),
+      "DTEND;VALUE=DATE:" + formatDate(addDays(dates.end, 1)),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ];
+  }
+
+  // Lessons at the same time on different days share one weekly series
+  const slots = new Map();
+  lessons.forEach((lesson) => {
+    const key = lesson.start + "-" + lesson.end;
+    if (!slots.has(key)) slots.set(key, { ...lesson, days: [] });
+    slots.get(key).days.push(lesson.day);
+  });
+
+  const until = formatDate(addDays(dates.end, 1)) + "T000000Z";
+  const lines = [];
+  [...slots.values()].forEach((slot, i) => {
+    // The series starts on the first lesson day of the period
+    let first = dates.start;
+    while (!slot.days.includes(((first.getUTCDay() + 6) % 7) + 1)) {
+      first = addDays(first, 1);
+    }
+    const day = formatDate(first);
+    const time = (minutes) => formatTime(minutes).replace(":", "") + "00";
+    lines.push(
+      "BEGIN:VEVENT",
+      "UID:" + uid + "-" + i + "@" + UID_DOMAIN,
+      ...common,
+      `DTSTART;TZID=${TIME_ZONE}:${day}T${time(slot.start)}`,
+      `DTEND;TZID=${TIME_ZONE}:${day}T${time(slot.end)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${slot.days
+        .map((d) => WEEKDAY_CODES[d])
+        .join(",")};UNTIL=${until}`,
+      "END:VEVENT",
+    );
+  });
+  return lines;
+}
+
+/**
+ * Builds the iCalendar file of the courses scheduled in a plan.
+ * @param {PlanManager} pm - The plan manager holding the plan.
+ * @param {Object} calendar - Calendar from {@link normalizeCalendar}.
+ * @param {Object} options - Labels of the file.
+ * @param {string} options.name - The calendar name.
+ * @param {Date} [options.now] - The creation time.
+ * @returns {{ics: string, count: number, missing: Array<string>,
+ *   unscheduled: Array<string>, estimated: boolean}} The file content, the
+ *   number of courses in it, the names of the scheduled courses left out
+ *   because the calendar lacks the dates of their period, the names of the
+ *   courses left out because they have no place in the timeline, and whether
+ *   some dates are only estimated.
+ */
+export function buildICS(pm, calendar, { name, now = new Date() }) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//UNIMI Study Plan Composer//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:" + escapeText(name),
+    "X-WR-TIMEZONE:" + TIME_ZONE,
+    ...VTIMEZONE,
+  ];
+
+  let count = 0;
+  let estimated = false;
+  const missing = [];
+  const unscheduled = pm.plan
+    .filter((item) => !item.slot && item.table !== "Obbligatori")
+    .map((item) => item.name);
+  pm.plan
+    .filter((item) => item.slot)
+    .forEach((item) => {
+      const academicYear = pm.getAcademicYear(item.slot.year);
+      const year = parseAcademicYear(academicYear);
+      const dates = calendar[year] && calendar[year][item.slot.period];
+      if (!dates) {
+        missing.push(item.name);
+        return;
+      }
+
+      const exam = item.examId
+        ? pm.allExams.find((e) => e.id === item.examId)
+        : null;
+      const table = pm.isCurriculumTable(item.table)
+        ? pm.t("table") + " " + pm.t(item.table)
+        : pm.t(item.table);
+      const description = [
+        `${item.cfu} CFU · ${table}`,
+        `${academicYear} · ${pm.t("q" + item.slot.period)}`,
+        ...(exam && exam.link ? [exam.link] : []),
+      ].join("\n");
+      lines.push(
+        ...buildEvents(
+          {
+            uid: `${item.id}-${year}-${item.slot.period}`,
+            summary: item.name,
+            description,
+            url: exam ? exam.link : "",
+            lessons: pm.getItemLessons(item),
+          },
+          dates,
+          stamp,
+        ),
+      );
+      count++;
+      if (dates.estimated) estimated = true;
+    });
+
+  lines.push("END:VCALENDAR");
+  return {
+    ics: lines.map(foldLine).join("\r\n") + "\r\n",
+    count,
+    missing,
+    unscheduled,
+    estimated,
+  };
+}
@@ -0,0 +1,395 @@
+import { parseAcademicYear } from "./availability.js";
+import { findExam, getCourseCode } from "./data.js";
+import { messages } from "./i18n.js";
+import { PlanManager } from "./logic.js";
+import { STATUSES, parseGrade } from "./progress.js";
+
+/**
+ * Import of plans from the CSV produced by the export, or from a JSON backup.
+ *
+ * Importing is done in two steps: {@link previewImport} parses the file and
+ * matches every row against the catalog, so the user can review the outcome;
+ * {@link buildImportedPlan} then builds the new plan from the preview.
+ */
+
+/** Identifier of the JSON backup format. */
+export const BACKUP_FORMAT = "unimi-studyplan-backup";
+
+/** Version of the JSON backup format. */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Normalizes an exam name for matching (case, accents and spacing).
+ * @param {string} name - The exam name.
+ * @returns {string} The normalized name.
+ */
+function normalizeName(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Collects the labels of a message key in every language.
+ * @param {string} key - The message key.
+ * @returns {Array<string>} Normalized labels.
+ */
+function labelsOf(key) {
+  return Object.values(messages).map((lang) => normalizeName(lang[key]));
+}
+
+/**
+ * Reads the rows of a CSV exported by the app.
+ * The curriculum and year are recovered from the export file name, if present.
+ * @param {string} text - The CSV content.
+ * @param {string} fileName - The file name.
+ * @returns {Object} Parsed import data.
+ */
+function parseCSV(text, fileName) {
+  const results = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (h) => h.trim(),
+  });
+  const fields = results.meta.fields || [];
+  if (!fields.includes("Exam") || !fields.includes("CFU")) {
+    throw new Error("import_error_format");
+  }
+
+  const mandatoryLabels = labelsOf("csv_mandatory");
+  const extraLabels = labelsOf("csv_extra");
+  const statusLabels = STATUSES.map((status) => ({
+    status,
+    labels: labelsOf("status_" + status),
+  }));
+  const rows = results.data.map((row) => {
+    const type = normalizeName(row["Type"]);
+    const academicYear = (row["Year"] || "").trim();
+    const status = statusLabels.find(({ labels }) =>
+      labels.includes(normalizeName(row["Status"])),
+    );
+    return {
+      name: (row["Exam"] || "").trim(),
+      cfu: parseInt(row["CFU"]),
+      table: (row["Table"] || "").trim(),
+      link: (row["Link"] || "").trim(),
+      examId: (row["ID"] || "").trim() || null,
+      pinned: false,
+      isMandatory: mandatoryLabels.includes(type),
+      isCustom: extraLabels.includes(type),
+      slot: academicYear
+        ? { academicYear, period: parseInt(row["4 month period"]) }
+        : null,
+      progress: {
+        status: status ? status.status : "planned",
+        ...parseGrade(row["Grade"]),
+        date: (row["Date"] || "").trim() || null,
+      },
+    };
+  });
+
+  const meta = /_([A-Za-z0-9]+)_(\d{4})-(\d{4})\.csv$/i.exec(fileName || "");
+  return {
+    format: "csv",
+    programme: null,
+    curriculum: meta ? meta[1] : null,
+    year: meta ? `${meta[2]}/${meta[3]}` : null,
+    rows,
+  };
+}
+
+/**
+ * Reads a JSON backup.
+ * @param {string} text - The JSON content.
+ * @returns {Object} Parsed import data.
+ */
+function parseBackup(text) {
+  const backup = JSON.parse(text);
+  if (
+    !backup ||
+    backup.format !== BACKUP_FORMAT ||
+    backup.version > BACKUP_VERSION ||
+    !Array.isArray(backup.plan)
+  ) {
+    throw new Error("import_error_format");
+  }
+  return {
+    format: "json",
+    programme: backup.programme || null,
+    curriculum: backup.curriculum || null,
+    year: backup.year || null,
+    duration: parseInt(backup.duration) || null,
+    rows: backup.plan.map((item) => ({
+      name: String(item.name || "").trim(),
+      cfu: parseInt(item.cfu),
+      table: item.table || "",
+      link: "",
+      examId: item.examId || null,
+      pinned: !!item.pinned,
+      isMandatory: item.table === "Obbligatori",
+      isCustom: !!item.isCustom,
+      slot: item.slot || null,
+      progress: {
+        status: item.status,
+        grade: item.grade,
+        honors: item.honors,
+        date: item.date,
+      },
+    })),
+  };
+}
+
+/**
+ * Creates the content of a JSON backup of a plan.
+ * @param {Object} snapshot - The plan to back up ({programme, name, year, curriculum, duration, plan}).
+ * @returns {string} The JSON text.
+ */
+export function createBackup({
+  programme,
+  name,
+  year,
+  curriculum,
+  duration,
+  plan,
+}) {
+  return JSON.stringify(
+    {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      programme,
+      name,
+      year,
+      curriculum,
+      duration,
+      plan,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Parses an import file and matches its rows against the catalog.
+ *
+ * Rows are matched by exam id (including former ids), then by course code taken from
+ * the link, then by name. Unmatched rows become custom exams. A row is a
+ * conflict when it repeats an exam already imported (or an equivalent or
+ * mutually exclusive one, then skipped), when its credits differ
+ * from the catalog, or when its table is not valid for the exam.
+ *
+ * @param {string} text - The file content.
+ * @param {string} fileName - The file name, used to detect the format.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} rules - The degree requirements and rules.
+ * @param {string} fallbackCurriculum - Curriculum used when the file does not name one.
+ * @returns {Object} The preview: detected `format`, `programme` (backups
+ *   only), `curriculum` and `year`, the `matched`, `unmatched` and
+ *   `conflicts` rows, and the `mandatory` rows, which only carry the progress
+ *   of the mandatory activities.
+ * @throws {Error} With a translation key as message if the file cannot be read.
+ */
+export function previewImport(
+  text,
+  fileName,
+  exams,
+  rules,
+  fallbackCurriculum,
+) {
+  let parsed;
+  try {
+    parsed = /\.json$/i.test(fileName)
+      ? parseBackup(text)
+      : parseCSV(text, fileName);
+  } catch (e) {
+    throw new Error(
+      e.message === "import_error_format" ? e.message : "import_error_read",
+    );
+  }
+
+  const programs = rules.degree_requirements.programs;
+  const curriculum = programs[parsed.curriculum]
+    ? parsed.curriculum
+    : fallbackCurriculum;
+  const checker = new PlanManager(exams, rules);
+  checker.setCurriculum(curriculum);
+
+  const byCode = new Map();
+  const byName = new Map();
+  exams.forEach((exam) => {
+    const code = getCourseCode(exam.link);
+    if (code) byCode.set(code, exam);
+    byName.set(normalizeName(exam.name), exam);
+  });
+
+  const preview = {
+    format: parsed.format,
+    programme: parsed.programme,
+    curriculum,
+    year: parsed.year,
+    duration: parsed.duration || null,
+    matched: [],
+    unmatched: [],
+    conflicts: [],
+    mandatory: [],
+  };
+  const seen = new Set();
+
+  parsed.rows.forEach((row) => {
+    if (!row.name) return;
+    if (row.isMandatory) {
+      preview.mandatory.push({ row });
+      return;
+    }
+    if (!(row.cfu > 0)) {
+      preview.conflicts.push({
+        row,
+        exam: null,
+        reason: "import_conflict_cfu_invalid",
+      });
+      return;
+    }
+
+    const exam =
+      findExam(exams, row.examId) ||
+      byCode.get(getCourseCode(row.link)) ||
+      byName.get(normalizeName(row.name));
+
+    if (!exam) {
+      const key = "custom:" + normalizeName(row.name);
+      if (seen.has(key)) {
+        preview.conflicts.push({
+          row,
+          exam: null,
+          reason: "import_conflict_duplicate",
+        });
+        return;
+      }
+      seen.add(key);
+      if (row.table && !["Facoltativi", "Fuori Piano"].includes(row.table)) {
+        preview.conflicts.push({
+          row,
+          exam: null,
+          reason: "import_conflict_table",
+        });
+        row.table = "";
+      }
+      preview.unmatched.push({ row });
+      return;
+    }
+
+    if (seen.has(exam.id)) {
+      preview.conflicts.push({
+        row,
+        exam,
+        reason: "import_conflict_duplicate",
+      });
+      return;
+    }
+    seen.add(exam.id);
+
+    const alternative = preview.matched.find((m) =>
+      (exam.alternatives || []).some((a) => a.id === m.exam.id),
+    );
+    if (alternative) {
+      preview.conflicts.push({
+        row,
+        exam,
+        reason: "import_conflict_alternative",
+      });
+      return;
+    }
+
+    const validTables = [
+      ...checker.getAllowedTables(exam),
+      "Facoltativi",
+      "Fuori Piano",
+    ];
+    if (row.table && !validTables.includes(row.table)) {
+      preview.conflicts.push({ row, exam, reason: "import_conflict_table" });
+    } else if (row.cfu !== exam.cfu) {
+      preview.conflicts.push({ row, exam, reason: "import_conflict_cfu" });
+    }
+    preview.matched.push({ row, exam });
+  });
+
+  return preview;
+}
+
+/**
+ * Builds the plan described by an import preview.
+ * Matched rows are added as catalog exams, unmatched rows as custom exams.
+ * Tables from the file are restored by pinning the rows that the rebalancer
+ * would place differently (or that were pinned in a JSON backup); invalid
+ * tables are left to the rebalancer. Statuses, grades and timeline slots are
+ * restored as well, and the plan spans as many years as the latest slot needs.
+ * @param {Object} preview - Preview from {@link previewImport}.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} rules - The degree requirements and rules.
+ * @param {Function} t - Translation function.
+ * @param {string} year - The academic year of the new plan.
+ * @returns {{plan: Array<Object>, duration: number}} The new plan items and
+ *   the years spanned by the timeline.
+ */
+export function buildImportedPlan(preview, exams, rules, t, year) {
+  const pm = new PlanManager(exams, rules, t);
+  pm.setYear(year);
+  pm.setCurriculum(preview.curriculum);
+  pm.initDefaults();
+
+  const placed = [];
+  preview.matched.forEach(({ row, exam }) => {
+    pm.addExam(exam);
+    placed.push({ row, id: pm.plan.find((p) => p.examId === exam.id).id });
+  });
+  preview.unmatched.forEach(({ row }) => {
+    placed.push({ row, id: pm.addCustomExam(row.name, row.cfu) });
+  });
+
+  // Pinning one item may move the others, so repeat until every row is settled
+  let pending = placed.filter(({ row }) => row.table);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    pending = pending.filter(({ row, id }) => {
+      const item = pm.plan.find((p) => p.id === id);
+      if (!row.pinned && item.table === row.table) return true;
+      pm.moveExam(id, row.table);
+      changed = true;
+      return false;
+    });
+  }
+
+  // Grades and statuses, including those of the mandatory activities
+  placed.forEach(({ row, id }) => pm.setProgress(id, row.progress));
+  preview.mandatory.forEach(({ row }) => {
+    const item = pm.plan.find(
+      (p) =>
+        p.table === "Obbligatori" &&
+        normalizeName(p.name) === normalizeName(row.name),
+    );
+    if (item) pm.setProgress(item.id, row.progress);
+  });
+
+  // CSV exports hold the academic year, backups the year of the plan
+  const slots = placed
+    .filter(({ row }) => row.slot)
+    .map(({ row, id }) => {
+      const planYear = row.slot.academicYear
+        ? parseAcademicYear(row.slot.academicYear) - parseAcademicYear(year) + 1
+        : parseInt(row.slot.year);
+      return { id, planYear, period: row.slot.period };
+    })
+    .filter(({ planYear }) => planYear >= 1);
+  pm.setDuration(
+    Math.max(preview.duration || 0, ...slots.map((s) => s.planYear)),
+  );
+  slots.forEach(({ id, planYear, period }) =>
+    pm.scheduleExam(id, planYear, period),
+  );
+
+  return { plan: pm.plan, duration: pm.duration };
+}
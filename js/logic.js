@@ -1,3 +1,15 @@
+import {
+  parseAvailability,
+  parseAcademicYear,
+  formatAcademicYear,
+  isOfferedIn,
+  nextOffering,
+} from "./availability.js";
+import { findExam } from "./data.js";
+import { createProgress, getGrading, normalizeProgress } from "./progress.js";
+import { solveAssignment } from "./solver.js";
+import { getLessons, findOverlaps, formatTime } from "./timetable.js";
+
 /**
  * Manages the study plan logic, including adding/removing exams, validating rules,
  * and handling curriculum specific requirements.
@@ -16,6 +28,8 @@ export class PlanManager {
     this.year = "2025/2026";
     this.curriculum = "FBA";
     this.plan = [];
+    this.placements = {};
+    this.duration = this.getMinDuration();
   }
 
   /**
@@ -54,6 +68,17 @@ export class PlanManager {
       if (!exam) continue;
 
       const allowed = this.getAllowedTables(exam);
+      // Pins survive only if the pinned table still exists in the new curriculum
+      if (item.pinned) {
+        const stillValid =
+          allowed.includes(item.table) ||
+          ["Facoltativi", "Fuori Piano"].includes(item.table);
+        if (stillValid) {
+          newPlan.push(item);
+          continue;
+        }
+        item.pinned = false;
+      }
       if (allowed.length > 0) {
         item.table = allowed[0];
         newPlan.push(item);
@@ -66,48 +91,101 @@ export class PlanManager {
     this.rebalanceBuckets();
   }
 
+  /**
+   * Gets the rules of the current curriculum.
+   * @returns {Object} The program rules from the rules configuration.
+   */
+  getProgram() {
+    return this.rules.degree_requirements.programs[this.curriculum];
+  }
+
+  /**
+   * Gets the tables of the current curriculum in display order,
+   * including the mandatory, optional and out-of-plan tables.
+   * @returns {Array<string>} Ordered table names.
+   */
+  getTableOrder() {
+    return this.getProgram().display_order;
+  }
+
+  /**
+   * Checks whether a table is one of the curriculum tables (e.g. "A", "1").
+   * @param {string} table - The table name.
+   * @returns {boolean} True for curriculum tables.
+   */
+  isCurriculumTable(table) {
+    return this.getProgram().tables.some((t) => t.id === table);
+  }
+
   /**
    * Determines the allowed tables for a given exam based on the current curriculum.
    * @param {Object} exam - The exam object.
-   * @returns {Array<string>} List of allowed table names.
+   * @returns {Array<string>} List of allowed table names, in assignment priority.
    */
   getAllowedTables(exam) {
     const raw = exam.rawTable || "";
     const parts = raw.split("|").map((s) => s.trim());
+    const priority = this.getProgram().assignment_priority;
 
-    if (this.curriculum === "FBA") {
-      return parts.filter((p) => ["1", "2"].includes(p));
-    } else {
-      const allowed = parts.filter((p) => ["A", "B", "C"].includes(p));
-      const priority = { A: 1, B: 2, C: 3 };
-      return allowed.sort((a, b) => priority[a] - priority[b]);
-    }
+    return parts
+      .filter((p) => this.isCurriculumTable(p))
+      .sort((a, b) => priority.indexOf(a) - priority.indexOf(b));
   }
 
   /**
-   * Checks if an exam is available in the current academic year.
-   * @param {Object} exam - The exam object.
-   * @returns {boolean} True if the exam is available, false otherwise.
+   * Gets the academic years covered by the plan, from the enrolment year on.
+   * @returns {Array<number>} The starting year of each academic year.
    */
-  isExamAvailable(exam) {
-    const avail = exam.availability;
-    if (!avail || avail.toLowerCase() === "enabled") return true;
-    if (avail.toLowerCase() === "disabled") return false;
+  getPlanYears() {
+    const start = parseAcademicYear(this.year);
+    return Array.from({ length: this.duration }, (_, i) => start + i);
+  }
 
-    if (avail.startsWith("From ")) {
-      const fromYear = avail.replace("From ", "").trim();
-      const currentStart = parseInt(this.year.split("/")[0]);
-      const fromStart = parseInt(fromYear.split("/")[0]);
-      return currentStart >= fromStart;
-    }
+  /**
+   * Gets the regular duration of the programme, in years.
+   * @returns {number} The number of years.
+   */
+  getMinDuration() {
+    return this.rules.degree_requirements.common_rules.duration_years || 2;
+  }
 
-    if (avail.includes("Biennial")) {
-      const currentStart = parseInt(this.year.split("/")[0]);
-      const isEvenYear = currentStart % 2 === 0;
-      if (avail.includes("Even")) return isEvenYear;
-      if (avail.includes("Odd")) return !isEvenYear;
-    }
-    return true;
+  /**
+   * Gets the longest duration a plan can span, in years.
+   * @returns {number} The number of years.
+   */
+  getMaxDuration() {
+    const common = this.rules.degree_requirements.common_rules;
+    return Math.max(common.max_duration_years || 0, this.getMinDuration());
+  }
+
+  /**
+   * Sets how many years the plan spans (more than the regular duration for
+   * part-time students). Exams scheduled after the last year move into it.
+   * @param {number} duration - The number of years.
+   */
+  setDuration(duration) {
+    this.duration = Math.min(
+      Math.max(this.getMinDuration(), parseInt(duration) || 0),
+      this.getMaxDuration(),
+    );
+    this.plan.forEach((item) => {
+      if (item.slot && item.slot.year > this.duration) {
+        item.slot.year = this.duration;
+      }
+    });
+  }
+
+  /**
+   * Checks if an exam is available in an academic year.
+   * Without a year, the exam is available if it is offered in any year of the plan.
+   * @param {Object} exam - The exam object.
+   * @param {string|null} year - The academic year (e.g., "2026/2027"), optional.
+   * @returns {boolean} True if the exam is available, false otherwise.
+   */
+  isExamAvailable(exam, year = null) {
+    const expr = parseAvailability(exam.availability);
+    if (year) return isOfferedIn(expr, parseAcademicYear(year));
+    return this.getPlanYears().some((start) => isOfferedIn(expr, start));
   }
 
   /**
@@ -116,31 +194,25 @@ export class PlanManager {
    * @returns {string|null} Localized availability info or null if available.
    */
   getNextAvailabilityInfo(exam) {
-    const avail = exam.availability;
-    if (!avail || avail.toLowerCase() === "enabled") return null;
-
-    if (avail.startsWith("From "))
-      return this.t("available_from", { date: avail.replace("From ", "") });
-
-    if (avail.includes("Biennial")) {
-      const currentStart = parseInt(this.year.split("/")[0]);
-      const isEvenYear = currentStart % 2 === 0;
-      if (avail.includes("Even") && !isEvenYear)
-        return this.t("next_activation_even");
-      if (avail.includes("Odd") && isEvenYear)
-        return this.t("next_activation_odd");
-    }
-    return avail;
+    if (this.isExamAvailable(exam)) return null;
+
+    const expr = parseAvailability(exam.availability);
+    const next = nextOffering(expr, this.getPlanYears()[0]);
+    if (next === null) return this.t("not_offered");
+    return this.t("next_activation", { year: formatAcademicYear(next) });
   }
 
   /**
    * Adds an exam to the plan.
    * @param {Object} exam - The exam to add.
    * @param {string|null} targetTable - Specific table to add the exam to (optional).
-   * @returns {boolean} True if added successfully, false if already in plan.
+   *   When given, the assignment is pinned and survives rebalancing.
+   * @returns {boolean} True if added successfully, false if already in plan
+   *   or if an alternative of the exam is (see {@link getAlternativeInPlan}).
    */
   addExam(exam, targetTable = null) {
     if (this.plan.some((p) => p.examId === exam.id)) return false;
+    if (this.getAlternativeInPlan(exam)) return false;
 
     let table = targetTable;
     if (!table) {
@@ -155,6 +227,9 @@ export class PlanManager {
       cfu: exam.cfu,
       table: table,
       isCustom: false,
+      pinned: targetTable !== null,
+      slot: this.getDefaultSlot(exam),
+      ...createProgress(),
     });
     this.rebalanceBuckets();
     return true;
@@ -165,17 +240,23 @@ export class PlanManager {
    * @param {string} name - Name of the custom exam.
    * @param {number|string} cfu - Number of credits.
    * @param {string} table - Table to assign (defaults to "Facoltativi").
+   * @returns {string} The ID of the new plan item.
    */
   addCustomExam(name, cfu, table = "Facoltativi") {
+    const id = "custom-" + Date.now() + "-" + this.plan.length;
     this.plan.push({
-      id: "custom-" + Date.now(),
+      id: id,
       examId: null,
       name: name,
       cfu: parseInt(cfu),
       table: table,
       isCustom: true,
+      pinned: false,
+      slot: null,
+      ...createProgress(),
     });
     this.rebalanceBuckets();
+    return id;
   }
 
   /**
@@ -193,102 +274,259 @@ export class PlanManager {
 
   /**
    * Moves a plan item to a different table.
+   * The new assignment is pinned, so rebalancing will not undo it.
    * @param {string} planItemId - The ID of the plan item.
    * @param {string} newTable - The target table.
    * @returns {boolean} True if moved, false if move is not allowed.
    */
   moveExam(planItemId, newTable) {
     const item = this.plan.find((p) => p.id === planItemId);
+    if (!item || item.table === "Obbligatori" || newTable === "Obbligatori") {
+      return false;
+    }
     if (
-      item &&
       !item.isCustom &&
       newTable !== "Facoltativi" &&
-      newTable !== "Obbligatori" &&
       newTable !== "Fuori Piano"
     ) {
       const exam = this.allExams.find((e) => e.id === item.examId);
       const allowed = this.getAllowedTables(exam);
       if (!allowed.includes(newTable)) return false;
     }
-    if (item) item.table = newTable;
+    item.table = newTable;
+    item.pinned = true;
+    this.rebalanceBuckets();
+    return true;
+  }
+
+  /**
+   * Pins or unpins the table assignment of a plan item.
+   * Unpinned items are placed freely by the rebalancer.
+   * @param {string} planItemId - The ID of the plan item.
+   */
+  togglePin(planItemId) {
+    const item = this.plan.find((p) => p.id === planItemId);
+    if (!item || item.table === "Obbligatori") return;
+    item.pinned = !item.pinned;
     this.rebalanceBuckets();
+  }
+
+  /**
+   * Checks whether a plan item takes a grade. Mandatory activities marked
+   * `graded: false` in the rules (e.g. a placement test) are only passed.
+   * @param {Object} item - The plan item.
+   * @returns {boolean} True if the item takes a grade.
+   */
+  isGraded(item) {
+    if (item.table !== "Obbligatori") return true;
+    const mandatory =
+      this.rules.degree_requirements.common_rules.mandatory_exams.find(
+        (ex) => ex.name === item.name,
+      );
+    return !mandatory || mandatory.graded !== false;
+  }
+
+  /**
+   * Updates the progress of a plan item: its status and, once passed, its
+   * grade and date. Fields left out keep their current value.
+   * @param {string} planItemId - The ID of the plan item.
+   * @param {Object} changes - The `status`, `grade`, `honors` and `date` to set.
+   * @returns {boolean} True if updated, false if the item does not exist.
+   */
+  setProgress(planItemId, changes) {
+    const item = this.plan.find((p) => p.id === planItemId);
+    if (!item) return false;
+    Object.assign(
+      item,
+      normalizeProgress(
+        { ...item, ...changes },
+        getGrading(this.rules),
+        this.isGraded(item),
+      ),
+    );
     return true;
   }
 
+  /**
+   * Summarizes the progress of the student through the plan.
+   * Exams in "Fuori Piano" do not count towards the degree credits, and exams
+   * in the tables excluded by the grading rules do not count in the average.
+   * The starting graduation score is the CFU-weighted average scaled to the
+   * graduation scale (e.g. 27/30 → 99/110).
+   * @returns {{earnedCredits: number, attendingCredits: number,
+   *   plannedCredits: number, requiredCredits: number, passedCount: number,
+   *   gradedCredits: number, average: number|null, startingScore: number|null,
+   *   scale: number}} The credits passed, being attended and in the plan, the
+   *   exams passed, the credits with a grade, their weighted average and the
+   *   estimated starting score; both null until a grade is recorded.
+   */
+  getProgress() {
+    const common = this.rules.degree_requirements.common_rules;
+    const grading = getGrading(this.rules);
+    const counted = this.plan.filter((item) => item.table !== "Fuori Piano");
+    const sum = (items) => items.reduce((total, item) => total + item.cfu, 0);
+    const passed = counted.filter((item) => item.status === "passed");
+
+    const graded = this.plan.filter(
+      (item) =>
+        item.status === "passed" &&
+        Number.isInteger(item.grade) &&
+        !grading.excluded_tables.includes(item.table),
+    );
+    const gradedCredits = sum(graded);
+    const average =
+      gradedCredits > 0
+        ? graded.reduce(
+            (total, item) =>
+              total +
+              (item.honors ? grading.honors_value : item.grade) * item.cfu,
+            0,
+          ) / gradedCredits
+        : null;
+
+    return {
+      earnedCredits: sum(passed),
+      attendingCredits: sum(
+        counted.filter((item) => item.status === "attending"),
+      ),
+      plannedCredits: sum(counted),
+      requiredCredits: common.total_credits,
+      passedCount: this.plan.filter((item) => item.status === "passed").length,
+      gradedCredits,
+      average,
+      startingScore:
+        average === null
+          ? null
+          : (average * grading.graduation_scale) / grading.max_grade,
+      scale: grading.graduation_scale,
+    };
+  }
+
   /**
    * Rebalances the exams across tables based on rules and limits.
-   * Automatically moves exams between tables to satisfy requirements.
+   * Delegates to the global solver, so the resulting assignment meets as many
+   * requirements as possible and does not depend on the order exams were added.
+   * Pinned items keep their table and the others are placed around them.
    */
   rebalanceBuckets() {
     const common = this.rules.degree_requirements.common_rules;
-    const progRules =
-      this.rules.degree_requirements.programs[this.curriculum].curriculum_rules;
+    const program = this.getProgram();
 
-    // 1. Map limits and identify sum rules (e.g., BC)
+    // 1. Map per-table limits and sum constraints (e.g., B + C)
     const limits = {};
-    let minSumBC = 0;
-    progRules.forEach((r) => {
-      if (r.source === "BC") minSumBC = r.min_sumBC_credits;
-      else limits[r.source] = r.min_credits;
+    const maxima = {};
+    program.tables.forEach((table) => {
+      limits[table.id] = table.min_credits || 0;
+      if (table.max_credits !== undefined) maxima[table.id] = table.max_credits;
     });
-    const freeLimit = common.free_exams_credits;
+    const sums = program.constraints
+      .filter((c) => c.type === "sum")
+      .map((c) => ({ tables: c.tables, min: c.min_credits }));
 
-    const newPlan = [];
+    // 2. Mandatory and pinned items are fixed, the rest is assigned by the solver
     const mandatoryItems = this.plan.filter((p) => p.table === "Obbligatori");
-    newPlan.push(...mandatoryItems);
-
     const activeExams = this.plan.filter((p) => p.table !== "Obbligatori");
+    const pinnedItems = activeExams.filter((p) => p.pinned);
+    const freeItems = activeExams.filter((p) => !p.pinned);
 
-    activeExams.forEach((item) => {
-      const exam = this.allExams.find((e) => e.id === item.examId);
-      const allowed = item.isCustom ? [] : this.getAllowedTables(exam);
-      let assigned = false;
-
-      // --- ATTEMPT 1: Curriculum tables (A, B, C...) ---
-      for (const t of allowed) {
-        const currentInT = newPlan
-          .filter((p) => p.table === t)
-          .reduce((s, p) => s + p.cfu, 0);
-        const currentBCSum = newPlan
-          .filter((p) => p.table === "B" || p.table === "C")
-          .reduce((s, p) => s + p.cfu, 0);
-
-        // RESTRICTIVE CONDITION:
-        // Enter table if individual min is not reached...
-        const underIndividualMin = currentInT < (limits[t] || 0);
-
-        // ...OR if it's a B/C exception to reach total 48 CFU
-        const isBCException =
-          (t === "B" || t === "C") && currentBCSum < minSumBC;
-
-        if (underIndividualMin || isBCException) {
-          item.table = t;
-          assigned = true;
-          break;
-        }
-      }
-
-      // --- ATTEMPT 2: Optional (exactly 12 CFU) ---
-      if (!assigned) {
-        const currentInFac = newPlan
-          .filter((p) => p.table === "Facoltativi")
-          .reduce((s, p) => s + p.cfu, 0);
-        if (currentInFac < freeLimit) {
-          item.table = "Facoltativi";
-          assigned = true;
-        }
-      }
+    const assignment = solveAssignment(
+      freeItems.map((item) => {
+        const exam = this.allExams.find((e) => e.id === item.examId);
+        return {
+          id: item.id,
+          key: item.examId || item.name,
+          cfu: item.cfu,
+          allowed: item.isCustom || !exam ? [] : this.getAllowedTables(exam),
+        };
+      }),
+      {
+        limits,
+        maxima,
+        sums,
+        freeLimit: common.free_exams_credits,
+        totalLimit: common.total_credits,
+      },
+      [...mandatoryItems, ...pinnedItems],
+    );
 
-      // --- ATTEMPT 3: Out of Plan ---
-      // If not used to fill minimums or B+C rule, it goes out of plan
-      if (!assigned) {
-        item.table = "Fuori Piano";
-      }
+    freeItems.forEach((item) => (item.table = assignment.get(item.id).table));
+    this.plan = [...mandatoryItems, ...activeExams];
 
-      newPlan.push(item);
+    // 3. Keep the decisions, so placements can be explained to the user
+    this.placements = {};
+    mandatoryItems.forEach((item) => {
+      this.placements[item.id] = { table: item.table, mandatory: true };
     });
+    pinnedItems.forEach((item) => {
+      this.placements[item.id] = { table: item.table, pinned: true };
+    });
+    freeItems.forEach((item) => {
+      this.placements[item.id] = assignment.get(item.id);
+    });
+  }
 
-    this.plan = newPlan;
+  /**
+   * Explains why a plan item was placed in its table by the last rebalance.
+   * @param {string} planItemId - The ID of the plan item.
+   * @returns {Array<string>} Localized explanation lines.
+   */
+  explainPlacement(planItemId) {
+    const item = this.plan.find((p) => p.id === planItemId);
+    const decision = this.placements[planItemId];
+    if (!item || !decision) return [];
+
+    const names = (tables) => tables.map((t) => this.t(t)).join(", ");
+    if (decision.mandatory) return [this.t("trace_mandatory")];
+    if (decision.pinned) {
+      return [this.t("trace_pinned", { table: this.t(decision.table) })];
+    }
+
+    const lines = [];
+    if (item.isCustom) {
+      lines.push(this.t("trace_custom"));
+    } else if (decision.allowed.length === 0) {
+      lines.push(this.t("trace_no_tables"));
+    } else {
+      lines.push(this.t("trace_allowed", { tables: names(decision.allowed) }));
+    }
+
+    if (decision.full.length > 0) {
+      lines.push(this.t("trace_full", { tables: names(decision.full) }));
+    }
+    if (decision.sumRule) {
+      lines.push(
+        this.t("trace_sum_exception", {
+          table: this.t(decision.table),
+          tables: decision.sumRule.tables.join(" + "),
+          min: decision.sumRule.min,
+        }),
+      );
+    }
+    if (decision.skipped.length > 0) {
+      lines.push(this.t("trace_skipped", { tables: names(decision.skipped) }));
+    }
+
+    if (decision.table === "Facoltativi") {
+      lines.push(this.t("trace_free_used"));
+    } else if (decision.table === "Fuori Piano") {
+      if (decision.planFull) {
+        lines.push(
+          this.t("trace_plan_full", {
+            total: this.rules.degree_requirements.common_rules.total_credits,
+          }),
+        );
+      } else if (decision.freeFull) {
+        lines.push(
+          this.t("trace_free_full", {
+            limit:
+              this.rules.degree_requirements.common_rules.free_exams_credits,
+          }),
+        );
+      } else {
+        lines.push(this.t("trace_free_skipped"));
+      }
+    }
+    return lines;
   }
 
   /**
@@ -299,20 +537,22 @@ export class PlanManager {
     const common = this.rules.degree_requirements.common_rules;
     const report = {
       totalCredits: 0,
+      requiredCredits: common.total_credits,
       tables: {},
       specialRules: [],
       isValid: true,
       messages: [],
+      warnings: [],
     };
-    const schema =
-      this.curriculum === "FBA"
-        ? ["Obbligatori", "1", "2", "Facoltativi", "Fuori Piano"]
-        : ["Obbligatori", "A", "B", "C", "Facoltativi", "Fuori Piano"];
-
-    schema.forEach((t) => (report.tables[t] = { current: 0, min: 0 }));
+    this.getTableOrder().forEach(
+      (t) => (report.tables[t] = { current: 0, min: 0 }),
+    );
 
     this.plan.forEach((item) => {
       if (item.table !== "Fuori Piano") report.totalCredits += item.cfu;
+      if (!report.tables[item.table]) {
+        report.tables[item.table] = { current: 0, min: 0 };
+      }
       report.tables[item.table].current += item.cfu;
     });
 
@@ -323,41 +563,78 @@ export class PlanManager {
     );
     report.tables["Facoltativi"].min = common.free_exams_credits;
 
-    // Load rules from JSON
-    const progRules =
-      this.rules.degree_requirements.programs[this.curriculum].curriculum_rules;
-    progRules.forEach((rule) => {
-      if (rule.source === "BC") {
-        const currentBC =
-          report.tables["B"].current + report.tables["C"].current;
+    // Curriculum tables, with their minimum and optional maximum
+    const program = this.getProgram();
+    program.tables.forEach((table) => {
+      const status = report.tables[table.id];
+      status.min = table.min_credits || 0;
+      if (status.current < status.min) {
+        report.isValid = false;
+        report.messages.push(
+          this.t("table_missing_cfu", {
+            table: this.t(table.id),
+            missing: status.min - status.current,
+          }),
+        );
+      }
+      if (table.max_credits !== undefined) {
+        status.max = table.max_credits;
+        if (status.current > table.max_credits) {
+          report.isValid = false;
+          report.messages.push(
+            this.t("table_exceeds_cfu", {
+              table: this.t(table.id),
+              excess: status.current - table.max_credits,
+            }),
+          );
+        }
+      }
+    });
+
+    // Constraints spanning several tables (e.g., B + C)
+    program.constraints
+      .filter((c) => c.type === "sum")
+      .forEach((rule) => {
+        const tables = rule.tables.map((t) => this.t(t)).join(" + ");
+        const current = rule.tables.reduce(
+          (s, t) => s + report.tables[t].current,
+          0,
+        );
         report.specialRules.push({
-          label: this.t("sum_bc_label"),
-          current: currentBC,
-          min: rule.min_sumBC_credits,
+          label: this.t("sum_label", { tables }),
+          current,
+          min: rule.min_credits,
         });
-        if (currentBC < rule.min_sumBC_credits) {
+        if (current < rule.min_credits) {
           report.isValid = false;
           report.messages.push(
-            this.t("sum_bc_missing", {
-              missing: rule.min_sumBC_credits - currentBC,
+            this.t("sum_missing", {
+              tables,
+              missing: rule.min_credits - current,
             }),
           );
         }
-      } else {
-        const t = rule.source;
-        if (report.tables[t]) {
-          report.tables[t].min = rule.min_credits;
-          if (report.tables[t].current < rule.min_credits) {
-            report.isValid = false;
-            report.messages.push(
-              this.t("table_missing_cfu", {
-                table: t,
-                missing: rule.min_credits - report.tables[t].current,
-              }),
-            );
-          }
-        }
-      }
+      });
+
+    // Equivalent or mutually exclusive exams count only once
+    this.plan.forEach((item, index) => {
+      const exam = item.isCustom
+        ? null
+        : this.allExams.find((e) => e.id === item.examId);
+      if (!exam) return;
+      this.plan.slice(index + 1).forEach((other) => {
+        const alternative = (exam.alternatives || []).find(
+          (a) => a.id === other.examId,
+        );
+        if (!alternative) return;
+        report.isValid = false;
+        report.messages.push(
+          this.t("alternatives_in_plan_" + alternative.kind, {
+            a: item.name,
+            b: other.name,
+          }),
+        );
+      });
     });
 
     // Basic messages validation
@@ -377,9 +654,149 @@ export class PlanManager {
       );
     }
 
+    // Missing or later-scheduled background courses
+    report.warnings.push(...this.getRelationWarnings());
+
+    // Overlapping lessons do not invalidate the plan
+    this.findTimetableClashes().forEach((clash) => {
+      report.warnings.push(
+        this.t("timetable_clash", {
+          a: clash.a.name,
+          b: clash.b.name,
+          year: clash.year,
+          day: this.t("weekday_" + clash.day),
+          time: `${formatTime(clash.start)}–${formatTime(clash.end)}`,
+        }),
+      );
+    });
+
+    // Pinned assignments that prevent an otherwise reachable valid plan
+    const pinned = this.plan.filter((p) => p.pinned);
+    if (!report.isValid && pinned.length > 0 && this.isValidWithoutPins()) {
+      report.warnings.push(
+        this.t("pins_block_valid_plan", {
+          exams: pinned.map((p) => p.name).join(", "),
+        }),
+      );
+    }
+
     return report;
   }
 
+  /**
+   * Checks whether the exams in the plan would form a valid plan
+   * if every table assignment were left to the rebalancer.
+   * The check runs on a clone, leaving the plan and its placements untouched.
+   * @returns {boolean} True if the unpinned plan is valid.
+   */
+  isValidWithoutPins() {
+    const sandbox = this.clone();
+    sandbox.plan.forEach((p) => (p.pinned = false));
+    sandbox.rebalanceBuckets();
+    return sandbox.validate().isValid;
+  }
+
+  /**
+   * Creates an independent copy of the plan manager, with its own plan items.
+   * @returns {PlanManager} The copy.
+   */
+  clone() {
+    const copy = new PlanManager(this.allExams, this.rules, this.t);
+    copy.year = this.year;
+    copy.curriculum = this.curriculum;
+    copy.duration = this.duration;
+    copy.plan = this.plan.map((item) => ({
+      ...item,
+      slot: item.slot ? { ...item.slot } : null,
+    }));
+    copy.placements = { ...this.placements };
+    return copy;
+  }
+
+  /**
+   * Simulates a change of the plan and reports how it would affect the
+   * validation, leaving the plan untouched.
+   * @param {Object} action - The change to simulate: `{type: "add", exam}`,
+   *   `{type: "remove", planItemId}` or `{type: "move", planItemId, table}`.
+   * @returns {Object|null} The delta, or null if the change is not allowed:
+   *   `table` where the item would land (null when removed), `moved` and
+   *   `pushedOut` other items changing table ({id, name, from, to}), the
+   *   `{before, after}` of `totalCredits`, `isValid`, every table in `tables`
+   *   and every sum rule in `specialRules` (with their `min`/`max`), and the
+   *   `added` and `resolved` validation `messages` and `warnings`.
+   */
+  simulate(action) {
+    const base = this.clone();
+    const sandbox = this.clone();
+    let itemId = action.planItemId;
+    let allowed = false;
+    if (action.type === "add") {
+      itemId = action.exam.id;
+      allowed = sandbox.addExam(action.exam);
+    } else if (action.type === "remove") {
+      const item = sandbox.plan.find((p) => p.id === itemId);
+      allowed = !!item && item.table !== "Obbligatori";
+      if (allowed) sandbox.removeExam(itemId);
+    } else if (action.type === "move") {
+      allowed = sandbox.moveExam(itemId, action.table);
+    }
+    if (!allowed) return null;
+
+    const before = base.validate();
+    const after = sandbox.validate();
+    const target = sandbox.plan.find((p) => p.id === itemId);
+    const moved = sandbox.plan
+      .filter((item) => item.id !== itemId)
+      .map((item) => ({
+        item,
+        old: base.plan.find((p) => p.id === item.id),
+      }))
+      .filter(({ item, old }) => old && old.table !== item.table)
+      .map(({ item, old }) => ({
+        id: item.id,
+        name: item.name,
+        from: old.table,
+        to: item.table,
+      }));
+
+    const tables = {};
+    new Set([
+      ...Object.keys(before.tables),
+      ...Object.keys(after.tables),
+    ]).forEach((table) => {
+      const b = before.tables[table] || { current: 0, min: 0 };
+      const a = after.tables[table] || { current: 0, min: 0 };
+      tables[table] = {
+        before: b.current,
+        after: a.current,
+        min: a.min,
+        max: a.max,
+      };
+    });
+    const diff = (from, to) => ({
+      added: to.filter((m) => !from.includes(m)),
+      resolved: from.filter((m) => !to.includes(m)),
+    });
+
+    return {
+      action: action.type,
+      table: target ? target.table : null,
+      moved,
+      pushedOut: moved.filter((m) => m.to === "Fuori Piano"),
+      totalCredits: { before: before.totalCredits, after: after.totalCredits },
+      isValid: { before: before.isValid, after: after.isValid },
+      tables,
+      specialRules: after.specialRules.map((rule, i) => ({
+        label: rule.label,
+        before: before.specialRules[i].current,
+        after: rule.current,
+        min: rule.min,
+      })),
+      messages: diff(before.messages, after.messages),
+      warnings: diff(before.warnings, after.warnings),
+    };
+  }
+
   /**
    * Resets the plan to its default state.
    */
@@ -388,6 +805,373 @@ export class PlanManager {
     this.initDefaults();
   }
 
+  /**
+   * Gets the academic year of a year of the plan.
+   * @param {number} planYear - The year of the plan, starting from 1.
+   * @returns {string} The academic year (e.g., "2026/27").
+   */
+  getAcademicYear(planYear) {
+    return formatAcademicYear(parseAcademicYear(this.year) + planYear - 1);
+  }
+
+  /**
+   * Gets the default timeline slot of an exam: its own period, in the first
+   * year of the plan in which it is offered.
+   * @param {Object} exam - The exam object.
+   * @returns {{year: number, period: number}} The slot.
+   */
+  getDefaultSlot(exam) {
+    const index = this.getPlanYears().findIndex((start) =>
+      this.isExamAvailable(exam, formatAcademicYear(start)),
+    );
+    return { year: index >= 0 ? index + 1 : 1, period: exam.period };
+  }
+
+  /**
+   * Checks a saved timeline slot. Catalog exams always keep their own period.
+   * @param {Object} slot - The saved slot.
+   * @param {Object|null} exam - The exam, or null for custom exams.
+   * @returns {{year: number, period: number}|null} The slot, or null if malformed.
+   */
+  normalizeSlot(slot, exam = null) {
+    if (!slot) return null;
+    const year = parseInt(slot.year);
+    const period = exam ? exam.period : parseInt(slot.period);
+    if (!(year >= 1) || !(period >= 1 && period <= 3)) return null;
+    return { year: Math.min(year, this.duration), period };
+  }
+
+  /**
+   * Schedules a plan item in a year of the plan, and for custom exams in a period.
+   * @param {string} planItemId - The ID of the plan item.
+   * @param {number|null} year - The year of the plan, or null to unschedule.
+   * @param {number|null} period - The period (custom exams only).
+   * @returns {boolean} True if scheduled.
+   */
+  scheduleExam(planItemId, year, period = null) {
+    const item = this.plan.find((p) => p.id === planItemId);
+    if (!item || item.table === "Obbligatori") return false;
+    if (!year) {
+      item.slot = null;
+      return true;
+    }
+    const exam = item.isCustom
+      ? null
+      : this.allExams.find((e) => e.id === item.examId);
+    const slot = this.normalizeSlot(
+      { year, period: period || (item.slot && item.slot.period) || 1 },
+      exam,
+    );
+    if (!slot) return false;
+    item.slot = slot;
+    return true;
+  }
+
+  /**
+   * Builds the timeline of the plan: credits per year and period, with
+   * warnings for overloaded or empty periods and for exams scheduled in a
+   * year in which they are not offered. Mandatory activities are not scheduled.
+   * @returns {{years: Array<Object>, unscheduled: Array<Object>, warnings: Array<string>}}
+   *   One entry per year (`{year, label, periods: [{period, credits, items, overloaded}]}`),
+   *   the items without a slot and the localized warnings.
+   */
+  getTimeline() {
+    const maxCredits =
+      this.rules.degree_requirements.common_rules.max_period_credits;
+    const years = Array.from({ length: this.duration }, (_, i) => ({
+      year: i + 1,
+      label: this.getAcademicYear(i + 1),
+      periods: [1, 2, 3].map((period) => ({
+        period,
+        credits: 0,
+        items: [],
+        overloaded: false,
+      })),
+    }));
+    const unscheduled = [];
+    const warnings = [];
+
+    this.plan.forEach((item) => {
+      if (item.table === "Obbligatori") return;
+      if (!item.slot) {
+        unscheduled.push(item);
+        return;
+      }
+      const cell = years[item.slot.year - 1].periods[item.slot.period - 1];
+      cell.items.push(item);
+      cell.credits += item.cfu;
+
+      const exam = item.isCustom
+        ? null
+        : this.allExams.find((e) => e.id === item.examId);
+      const label = this.getAcademicYear(item.slot.year);
+      if (exam && !this.isExamAvailable(exam, label)) {
+        warnings.push(
+          this.t("timeline_not_offered", { exam: item.name, year: label }),
+        );
+      }
+    });
+
+    years.forEach((y) =>
+      y.periods.forEach((cell) => {
+        const where = { year: y.label, period: this.t("q" + cell.period) };
+        cell.overloaded = !!maxCredits && cell.credits > maxCredits;
+        if (cell.overloaded) {
+          warnings.push(
+            this.t("timeline_overloaded", {
+              ...where,
+              cfu: cell.credits,
+              max: maxCredits,
+            }),
+          );
+        } else if (cell.credits === 0) {
+          warnings.push(this.t("timeline_empty", where));
+        }
+      }),
+    );
+    if (unscheduled.length > 0) {
+      warnings.push(
+        this.t("timeline_unscheduled", { count: unscheduled.length }),
+      );
+    }
+
+    return { years, unscheduled, warnings };
+  }
+
+  /**
+   * Checks the prerequisites and recommended background of the exams in the
+   * plan: each must be in the plan too, and not scheduled in a later period.
+   * @returns {Array<string>} Localized warnings.
+   */
+  getRelationWarnings() {
+    const warnings = [];
+    const order = (item) => (item.slot.year - 1) * 3 + item.slot.period;
+
+    this.plan.forEach((item) => {
+      const exam = item.isCustom
+        ? null
+        : this.allExams.find((e) => e.id === item.examId);
+      if (!exam) return;
+
+      [
+        ["prerequisites", "prerequisite_missing"],
+        ["recommended", "recommended_missing"],
+      ].forEach(([kind, missingKey]) => {
+        (exam[kind] || []).forEach((requiredId) => {
+          const required = this.plan.find((p) => p.examId === requiredId);
+          if (!required) {
+            const other = this.allExams.find((e) => e.id === requiredId);
+            warnings.push(
+              this.t(missingKey, { exam: item.name, required: other.name }),
+            );
+          } else if (
+            item.slot &&
+            required.slot &&
+            order(item) < order(required)
+          ) {
+            warnings.push(
+              this.t("background_scheduled_later", {
+                exam: item.name,
+                required: required.name,
+              }),
+            );
+          }
+        });
+      });
+    });
+    return warnings;
+  }
+
+  /**
+   * Finds the plan item holding an alternative of an exam: an equivalent
+   * course or another member of an exclusive group.
+   * @param {Object} exam - The exam object.
+   * @returns {Object|undefined} The plan item, if any.
+   */
+  getAlternativeInPlan(exam) {
+    const ids = (exam.alternatives || []).map((a) => a.id);
+    return this.plan.find((p) => ids.includes(p.examId));
+  }
+
+  /**
+   * Gets the exams related to an exam: the ones it builds on (prerequisites
+   * and recommended background) and the ones building on it.
+   * @param {Object} exam - The exam object.
+   * @returns {{background: Array<string>, dependents: Array<string>}} Exam ids.
+   */
+  getRelatedExamIds(exam) {
+    const background = [
+      ...(exam.prerequisites || []),
+      ...(exam.recommended || []),
+    ];
+    const dependents = this.allExams
+      .filter(
+        (e) =>
+          (e.prerequisites || []).includes(exam.id) ||
+          (e.recommended || []).includes(exam.id),
+      )
+      .map((e) => e.id);
+    return { background, dependents };
+  }
+
+  /**
+   * Gets the weekly lessons of a plan item in the year it is scheduled in.
+   * @param {Object} item - The plan item.
+   * @returns {Array<Object>} The lessons, empty if unscheduled or without a timetable.
+   */
+  getItemLessons(item) {
+    if (!item.slot || item.isCustom) return [];
+    const exam = this.allExams.find((e) => e.id === item.examId);
+    return getLessons(exam, this.getAcademicYear(item.slot.year));
+  }
+
+  /**
+   * Finds the plan items scheduled in the same period whose lessons overlap.
+   * @returns {Array<{a: Object, b: Object, year: string, day: number, start: number, end: number}>}
+   *   The pairs of clashing items, with the academic year and the first overlap.
+   */
+  findTimetableClashes() {
+    const slots = {};
+    this.plan.forEach((item) => {
+      const lessons = this.getItemLessons(item);
+      if (lessons.length === 0) return;
+      const key = `${item.slot.year}-${item.slot.period}`;
+      (slots[key] = slots[key] || []).push({ key: item, lessons });
+    });
+
+    return Object.values(slots).flatMap((courses) =>
+      findOverlaps(courses).map((overlap) => ({
+        ...overlap,
+        year: this.getAcademicYear(overlap.a.slot.year),
+      })),
+    );
+  }
+
+  /**
+   * Finds the plan items whose lessons overlap with those of an exam, as
+   * scheduled in the plan or, if not in the plan, in its default slot.
+   * @param {Object} exam - The exam object.
+   * @returns {Array<Object>} The clashing plan items.
+   */
+  getClashesFor(exam) {
+    const item = this.plan.find((p) => p.examId === exam.id) || {
+      examId: exam.id,
+      isCustom: false,
+      slot: this.getDefaultSlot(exam),
+    };
+    const lessons = this.getItemLessons(item);
+    if (lessons.length === 0) return [];
+
+    return this.plan.filter(
+      (other) =>
+        other.examId !== exam.id &&
+        other.slot &&
+        other.slot.year === item.slot.year &&
+        other.slot.period === item.slot.period &&
+        findOverlaps([
+          { key: item, lessons },
+          { key: other, lessons: this.getItemLessons(other) },
+        ]).length > 0,
+    );
+  }
+
+  /**
+   * Restores saved plan items, checking them against the current catalog and rules.
+   * Mandatory activities are recreated from the rules, exams no longer in the
+   * catalog are dropped, catalog names and credits replace the saved ones, and
+   * pins on tables the exam can no longer use are released.
+   * @param {Array<Object>} items - The saved plan items.
+   * @returns {{dropped: Array<string>, renamed: Array<Object>, reassigned: Array<Object>}}
+   *   The dropped exam names, the renamed exams (`{from, to}`) and the exams
+   *   placed in a different table (`{name, from, to}`).
+   */
+  restorePlan(items) {
+    const report = { dropped: [], renamed: [], reassigned: [] };
+    const savedTables = new Map();
+    const grading = getGrading(this.rules);
+
+    this.plan = [];
+    this.initDefaults();
+
+    (Array.isArray(items) ? items : []).forEach((saved) => {
+      if (!saved || typeof saved !== "object") return;
+      if (saved.table === "Obbligatori") {
+        // Mandatory activities are recreated, only their progress is restored
+        const item = this.plan.find(
+          (p) => p.table === "Obbligatori" && p.id === saved.id,
+        );
+        if (item) {
+          Object.assign(
+            item,
+            normalizeProgress(saved, grading, this.isGraded(item)),
+          );
+        }
+        return;
+      }
+
+      const cfu = parseInt(saved.cfu);
+      if (saved.isCustom) {
+        if (!saved.name || !(cfu > 0)) {
+          report.dropped.push(String(saved.name || "?"));
+          return;
+        }
+        const id = saved.id || "custom-" + Date.now() + "-" + this.plan.length;
+        if (this.plan.some((p) => p.id === id)) return;
+        // External exams only count as Facoltativi or out of plan
+        const tableValid = ["Facoltativi", "Fuori Piano"].includes(saved.table);
+        this.plan.push({
+          id,
+          examId: null,
+          name: String(saved.name),
+          cfu,
+          table: tableValid ? saved.table : "Facoltativi",
+          isCustom: true,
+          pinned: !!saved.pinned && tableValid,
+          slot: this.normalizeSlot(saved.slot),
+          ...normalizeProgress(saved, grading),
+        });
+        savedTables.set(id, saved.table);
+        return;
+      }
+
+      const exam = findExam(this.allExams, saved.examId);
+      if (!exam) {
+        report.dropped.push(String(saved.name || saved.examId));
+        return;
+      }
+      if (this.plan.some((p) => p.examId === exam.id)) return;
+      if (saved.name && saved.name !== exam.name) {
+        report.renamed.push({ from: saved.name, to: exam.name });
+      }
+
+      const allowed = this.getAllowedTables(exam);
+      const pinValid =
+        allowed.includes(saved.table) ||
+        ["Facoltativi", "Fuori Piano"].includes(saved.table);
+      this.plan.push({
+        id: exam.id,
+        examId: exam.id,
+        name: exam.name,
+        cfu: exam.cfu,
+        table: pinValid ? saved.table : allowed[0] || "Facoltativi",
+        isCustom: false,
+        pinned: !!saved.pinned && pinValid,
+        slot: this.normalizeSlot(saved.slot, exam) || this.getDefaultSlot(exam),
+        ...normalizeProgress(saved, grading),
+      });
+      savedTables.set(exam.id, saved.table);
+    });
+
+    this.rebalanceBuckets();
+    this.plan.forEach((item) => {
+      const from = savedTables.get(item.id);
+      if (from && from !== item.table) {
+        report.reassigned.push({ name: item.name, from, to: item.table });
+      }
+    });
+    return report;
+  }
+
   /**
    * Initializes the plan with mandatory exams.
    */
@@ -402,6 +1186,8 @@ export class PlanManager {
         cfu: ex.credits,
         table: "Obbligatori",
         isCustom: true,
+        pinned: false,
+        ...createProgress(),
       });
     });
     this.rebalanceBuckets();
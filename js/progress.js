@@ -0,0 +1,89 @@
+/**
+ * Progress of the student through the plan.
+ *
+ * Every plan item carries a `status` (planned, attending or passed) and, once
+ * passed, the `grade` (with `honors` for 30 cum laude) and the `date` of the
+ * exam. The grading rules (`common_rules.grading` in the rules file) tell the
+ * grade range, the value of honors in the average, the scale of the
+ * graduation score and the tables whose exams do not count in the average.
+ */
+
+/** Statuses of a plan item, in the order a student goes through them. */
+export const STATUSES = ["planned", "attending", "passed"];
+
+/** Grading rules used when the rules file leaves them out. */
+const DEFAULT_GRADING = {
+  min_grade: 18,
+  max_grade: 30,
+  honors_value: 30,
+  graduation_scale: 110,
+  excluded_tables: ["Fuori Piano"],
+};
+
+/**
+ * Gets the grading rules of a programme.
+ * @param {Object} rules - The degree requirements and rules.
+ * @returns {Object} The grading rules, completed with the defaults.
+ */
+export function getGrading(rules) {
+  return {
+    ...DEFAULT_GRADING,
+    ...rules.degree_requirements.common_rules.grading,
+  };
+}
+
+/**
+ * Creates the progress of a new plan item.
+ * @returns {{status: string, grade: null, honors: boolean, date: null}} A planned item.
+ */
+export function createProgress() {
+  return { status: "planned", grade: null, honors: false, date: null };
+}
+
+/**
+ * Normalizes the progress of a plan item read from storage or from a file.
+ * Grades and dates are only kept for passed items, and honors only with the
+ * highest grade.
+ * @param {Object} raw - The raw item, or the fields being changed.
+ * @param {Object} grading - See {@link getGrading}.
+ * @param {boolean} graded - Whether the item takes a grade.
+ * @returns {{status: string, grade: number|null, honors: boolean, date: string|null}}
+ *   The progress.
+ */
+export function normalizeProgress(raw, grading, graded = true) {
+  const progress = createProgress();
+  if (!raw || !STATUSES.includes(raw.status)) return progress;
+  progress.status = raw.status;
+  if (raw.status !== "passed") return progress;
+
+  const grade = parseInt(raw.grade);
+  if (graded && grade >= grading.min_grade && grade <= grading.max_grade) {
+    progress.grade = grade;
+    progress.honors = !!raw.honors && grade === grading.max_grade;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw.date || "")) progress.date = raw.date;
+  return progress;
+}
+
+/**
+ * Formats the grade of a plan item, with an "L" for honors (e.g. "30L").
+ * @param {Object} item - The plan item.
+ * @returns {string} The grade, or "" if it has none.
+ */
+export function formatGrade(item) {
+  if (item.grade === null || item.grade === undefined) return "";
+  return item.grade + (item.honors ? "L" : "");
+}
+
+/**
+ * Parses a grade as written in exports ("28", "30L", "30 e lode").
+ * @param {string} text - The grade.
+ * @returns {{grade: number|null, honors: boolean}} The grade; null if unreadable.
+ */
+export function parseGrade(text) {
+  const match = /^\s*(\d{1,2})\s*(l|e lode|lode|cum laude)?\s*$/i.exec(
+    text || "",
+  );
+  if (!match) return { grade: null, honors: false };
+  return { grade: parseInt(match[1]), honors: !!match[2] };
+}
@@ -0,0 +1,255 @@
+import { formatGrade } from "./progress.js";
+
+/**
+ * Printable report of a study plan.
+ *
+ * The report is a self-contained HTML document with its own print styles, so
+ * the same text is shown in the preview, printed (or saved as PDF) by the
+ * browser, and downloaded as a file. It lists the plan table by table, with
+ * the minimum credits of each table, the sum rules, the totals, availability
+ * notes and course links.
+ */
+
+/**
+ * Escapes a text for HTML.
+ * @param {*} value - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Collects the content of the report of a plan.
+ * @param {PlanManager} pm - The plan manager holding the plan.
+ * @param {Object} context - Labels of the plan.
+ * @param {string} context.programme - The programme title.
+ * @param {string} context.scenario - The scenario name.
+ * @param {string} context.curriculum - The curriculum label.
+ * @param {Date} context.generatedAt - The generation date.
+ * @returns {Object} The report: labels, `validation`, `progress` (null until
+ *   an exam is passed) and the plan `groups` by table, in display order.
+ */
+export function buildReport(pm, context) {
+  const validation = pm.validate();
+  const progress = pm.getProgress();
+
+  const groups = pm
+    .getTableOrder()
+    .map((table) => ({
+      table,
+      label: pm.isCurriculumTable(table)
+        ? pm.t("table") + " " + pm.t(table)
+        : pm.t(table),
+      status: validation.tables[table] || { current: 0, min: 0 },
+      items: pm.plan
+        .filter((item) => item.table === table)
+        .map((item) => {
+          const exam = item.examId
+            ? pm.allExams.find((e) => e.id === item.examId)
+            : null;
+          return {
+            item,
+            link: exam ? exam.link : "",
+            slot: item.slot
+              ? pm.getAcademicYear(item.slot.year) +
+                " · " +
+                pm.t("q" + item.slot.period)
+              : "",
+            note: exam ? pm.getNextAvailabilityInfo(exam) : null,
+          };
+        }),
+    }))
+    .filter((group) => group.items.length > 0 || group.status.min > 0);
+
+  return {
+    ...context,
+    year: pm.year,
+    duration: pm.duration,
+    validation,
+    progress: progress.passedCount > 0 ? progress : null,
+    groups,
+  };
+}
+
+/** Print styles of the report, sized for A4 paper. */
+const STYLES = `
+@page { size: A4; margin: 14mm 12mm; }
+* { box-sizing: border-box; }
+body { font-family: "Inter", "Helvetica Neue", Arial, sans-serif; font-size: 10pt; color: #1e293b; margin: 0; padding: 16px; line-height: 1.35; }
+@media print { body { padding: 0; } }
+h1 { font-size: 17pt; margin: 0; }
+h2 { font-size: 11pt; margin: 14px 0 4px; display: flex; justify-content: space-between; break-after: avoid; }
+.subtitle { color: #475569; margin: 2px 0 10px; }
+.meta { display: grid; grid-template-columns: repeat(3, auto); gap: 2px 18px; font-size: 9pt; color: #475569; margin-bottom: 10px; }
+.meta b { color: #1e293b; }
+.summary { border: 1px solid #cbd5e1; border-radius: 6px; padding: 8px 10px; break-inside: avoid; }
+.summary .row { display: flex; justify-content: space-between; }
+.valid { color: #15803d; font-weight: 700; }
+.invalid { color: #b91c1c; font-weight: 700; }
+.messages { margin: 6px 0 0; padding-left: 16px; font-size: 9pt; }
+.messages .warning { color: #b45309; }
+.messages .error { color: #b91c1c; }
+table { width: 100%; border-collapse: collapse; font-size: 9pt; }
+th { text-align: left; font-size: 8pt; text-transform: uppercase; color: #64748b; border-bottom: 1px solid #94a3b8; padding: 3px 4px; }
+td { border-bottom: 1px solid #e2e8f0; padding: 3px 4px; vertical-align: top; }
+tr { break-inside: avoid; }
+td.cfu, th.cfu { text-align: right; width: 40px; }
+td.slot { white-space: nowrap; width: 140px; }
+td.grade { white-space: nowrap; width: 70px; }
+.credits { font-weight: 600; color: #475569; }
+.short { color: #b91c1c; }
+.note { color: #b45309; font-size: 8pt; }
+a { color: #1e40af; text-decoration: none; }
+.empty { color: #94a3b8; font-style: italic; }
+footer { margin-top: 14px; font-size: 8pt; color: #64748b; border-top: 1px solid #e2e8f0; padding-top: 6px; }
+`;
+
+/**
+ * Renders the report as a self-contained HTML document.
+ * @param {Object} report - Report from {@link buildReport}.
+ * @param {Function} t - Translation function.
+ * @param {string} lang - The language of the document.
+ * @returns {string} The HTML document.
+ */
+export function renderReport(report, t, lang) {
+  const { validation, progress } = report;
+  const date = report.generatedAt.toLocaleDateString(lang, {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+  const summaryRows = [
+    [
+      t("total_cfu_official"),
+      validation.totalCredits,
+      validation.requiredCredits,
+    ],
+    ...validation.specialRules.map((rule) => [
+      rule.label,
+      rule.current,
+      rule.min,
+    ]),
+  ]
+    .map(
+      ([label, current, min]) =>
+        `<div class="row"><span>${escapeHtml(label)}</span><span class="${
+          current < min ? "short" : ""
+        }">${current} / ${min} CFU</span></div>`,
+    )
+    .join("");
+  const messages = [
+    ...validation.messages.map((msg) => ["error", msg]),
+    ...validation.warnings.map((msg) => ["warning", msg]),
+  ];
+
+  const progressRows = progress
+    ? `<div class="row"><span>${escapeHtml(t("progress_earned"))}</span><span>${
+        progress.earnedCredits
+      } / ${progress.plannedCredits} CFU</span></div>` +
+      (progress.average === null
+        ? ""
+        : `<div class="row"><span>${escapeHtml(
+            t("progress_average"),
+          )}</span><span>${progress.average.toFixed(2)}</span></div>` +
+          `<div class="row"><span>${escapeHtml(
+            t("progress_start_score"),
+          )}</span><span>${progress.startingScore.toFixed(1)} / ${
+            progress.scale
+          }</span></div>`)
+    : "";
+
+  const sections = report.groups
+    .map((group) => {
+      const { current, min, max } = group.status;
+      const credits = [
+        current,
+        min ? `/ ${min}` : "",
+        max ? `(max ${max})` : "",
+      ]
+        .filter((part) => part !== "")
+        .join(" ");
+      const rows = group.items
+        .map(({ item, link, slot, note }) => {
+          const name = link
+            ? `<a href="${escapeHtml(link)}">${escapeHtml(item.name)}</a>`
+            : escapeHtml(item.name);
+          const grade =
+            item.status === "passed"
+              ? t("status_passed") +
+                (formatGrade(item) ? " " + formatGrade(item) : "")
+              : item.status === "attending"
+                ? t("status_attending")
+                : "";
+          return `<tr><td>${name}${
+            note ? `<div class="note">${escapeHtml(note)}</div>` : ""
+          }</td><td class="cfu">${item.cfu}</td><td class="slot">${escapeHtml(
+            slot,
+          )}</td>${
+            progress ? `<td class="grade">${escapeHtml(grade)}</td>` : ""
+          }</tr>`;
+        })
+        .join("");
+      return `<section><h2><span>${escapeHtml(
+        group.label,
+      )}</span><span class="credits${
+        current < min ? " short" : ""
+      }">${credits} CFU</span></h2>${
+        group.items.length > 0
+          ? `<table><thead><tr><th>${escapeHtml(
+              t("report_exam"),
+            )}</th><th class="cfu">CFU</th><th>${escapeHtml(
+              t("report_when"),
+            )}</th>${
+              progress ? `<th>${escapeHtml(t("report_outcome"))}</th>` : ""
+            }</tr></thead><tbody>${rows}</tbody></table>`
+          : `<p class="empty">${escapeHtml(t("report_no_exams"))}</p>`
+      }</section>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t("report_title"))} – ${escapeHtml(report.scenario)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(t("report_title"))}</h1>
+<p class="subtitle">${escapeHtml(report.programme)}</p>
+<div class="meta">
+<span>${escapeHtml(t("report_scenario"))}: <b>${escapeHtml(report.scenario)}</b></span>
+<span>${escapeHtml(t("curriculum"))}: <b>${escapeHtml(report.curriculum)}</b></span>
+<span>${escapeHtml(t("report_enrolment"))}: <b>${escapeHtml(report.year)}</b></span>
+<span>${escapeHtml(t("report_duration"))}: <b>${escapeHtml(
+    t("timeline_years", { n: report.duration }),
+  )}</b></span>
+<span>${escapeHtml(t("report_generated"))}: <b>${escapeHtml(date)}</b></span>
+</div>
+<div class="summary">
+<div class="row"><span>${escapeHtml(t("report_status"))}</span><span class="${
+    validation.isValid ? "valid" : "invalid"
+  }">${escapeHtml(
+    t(validation.isValid ? "report_valid" : "report_invalid"),
+  )}</span></div>
+${summaryRows}${progressRows}
+${
+  messages.length > 0
+    ? `<ul class="messages">${messages
+        .map(([kind, msg]) => `<li class="${kind}">${escapeHtml(msg)}</li>`)
+        .join("")}</ul>`
+    : ""
+}
+</div>
+${sections}
+<footer>${escapeHtml(t("report_disclaimer"))}</footer>
+</body>
+</html>
+`;
+}
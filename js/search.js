@@ -0,0 +1,277 @@
+/**
+ * Search of the exam matrix.
+ *
+ * Texts are folded before matching: accents, case and punctuation are ignored,
+ * so "complessita" finds "Algoritmi e complessita'" and "inf 01" finds the SSD
+ * "INF/01". Every word of the query must match a word of the exam name, of its
+ * aliases (translated titles from the `alias` column), of its subpillar or of
+ * its SSD, either as a prefix, inside the word, or within a few typos.
+ * Results are ranked by how well and where the words matched.
+ */
+
+/** Searchable fields of an exam, with the weight of a match in each. */
+const FIELDS = [
+  { key: "name", weight: 1, valuesOf: (exam) => [exam.name] },
+  { key: "altNames", weight: 0.9, valuesOf: (exam) => exam.altNames || [] },
+  { key: "subpillar", weight: 0.8, valuesOf: (exam) => [exam.subpillar] },
+  { key: "ssd", weight: 0.8, valuesOf: (exam) => [exam.ssd] },
+];
+
+/**
+ * Scores of a query word matching a whole word, a prefix, an infix (lower for
+ * one or two letters, which are found inside many words) or with typos.
+ */
+const SCORES = { exact: 4, prefix: 3, infix: 2, shortInfix: 1.5, fuzzy: 1 };
+
+/** Bonus when the query words appear together, in order, in a field. */
+const PHRASE_BONUS = 2;
+
+/**
+ * Folds a text for matching, keeping track of the original positions.
+ * Letters lose their accents and case; anything but letters and digits
+ * becomes a space.
+ * @param {string} text - The text.
+ * @returns {{folded: string, positions: Array<number>}} The folded text, and
+ *   the index in the original text of each of its characters.
+ */
+function fold(text) {
+  let folded = "";
+  const positions = [];
+  let index = 0;
+  for (const char of text || "") {
+    const base = char
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+    for (const c of base) {
+      folded += /[\p{L}\p{N}]/u.test(c) ? c : " ";
+      positions.push(index);
+    }
+    index += char.length;
+  }
+  return { folded, positions };
+}
+
+/**
+ * Folds a text for matching.
+ * @param {string} text - The text.
+ * @returns {string} The folded text, with single spaces between words.
+ */
+export function normalizeText(text) {
+  return fold(text).folded.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Splits a folded text into words.
+ * @param {string} folded - The folded text.
+ * @returns {Array<{word: string, start: number}>} The words with their position.
+ */
+function splitWords(folded) {
+  const words = [];
+  const re = /\S+/g;
+  let match;
+  while ((match = re.exec(folded))) {
+    words.push({ word: match[0], start: match.index });
+  }
+  return words;
+}
+
+/**
+ * Computes the edit distance between two words, counting swapped adjacent
+ * letters as one edit.
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} The distance.
+ */
+function editDistance(a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        d[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Gets how many typos are tolerated in a query word.
+ * @param {string} word - The query word.
+ * @returns {number} The tolerated edits.
+ */
+function maxTypos(word) {
+  if (word.length < 4) return 0;
+  return word.length < 7 ? 1 : 2;
+}
+
+/**
+ * Matches a query word against a word of a field.
+ * Typos are checked against the whole word and against its beginning, so that
+ * a word still being typed matches too.
+ * @param {string} query - The folded query word.
+ * @param {string} word - The folded field word.
+ * @returns {{score: number, from: number, to: number}|null} The score and the
+ *   matched part of the word, or null if it does not match.
+ */
+function matchWord(query, word) {
+  if (word === query) return { score: SCORES.exact, from: 0, to: word.length };
+  if (word.startsWith(query)) {
+    return { score: SCORES.prefix, from: 0, to: query.length };
+  }
+  const index = word.indexOf(query);
+  if (index !== -1) {
+    return {
+      score: query.length > 2 ? SCORES.infix : SCORES.shortInfix,
+      from: index,
+      to: index + query.length,
+    };
+  }
+  const typos = maxTypos(query);
+  if (typos === 0 || Math.abs(word.length - query.length) > typos + 3) {
+    return null;
+  }
+  const distance = Math.min(
+    editDistance(query, word),
+    editDistance(query, word.slice(0, query.length)),
+  );
+  if (distance > typos) return null;
+  return { score: SCORES.fuzzy - distance * 0.25, from: 0, to: word.length };
+}
+
+/**
+ * Builds the search index of the catalog, folding every searchable text once.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @returns {Map<string, Array<Object>>} The folded fields of each exam, by exam id.
+ */
+export function createSearchIndex(exams) {
+  const index = new Map();
+  exams.forEach((exam) => {
+    const entries = [];
+    FIELDS.forEach(({ key, weight, valuesOf }) => {
+      valuesOf(exam)
+        .filter((text) => text)
+        .forEach((text) => {
+          const { folded, positions } = fold(text);
+          entries.push({
+            key,
+            weight,
+            text,
+            folded,
+            phrase: folded.replace(/\s+/g, " ").trim(),
+            positions,
+            words: splitWords(folded),
+          });
+        });
+    });
+    index.set(exam.id, entries);
+  });
+  return index;
+}
+
+/**
+ * Matches a query against the indexed fields of an exam.
+ * @param {Array<Object>} entries - The folded fields of the exam.
+ * @param {string} query - The query as typed.
+ * @returns {{score: number, highlights: Array<{key: string, text: string,
+ *   ranges: Array<Array<number>>}>}|null} The score and the matched parts of
+ *   each field, as ranges of the original text; null if the exam does not match.
+ */
+function matchEntries(entries, query) {
+  const phrase = normalizeText(query);
+  const queryWords = phrase.split(" ").filter((w) => w);
+  if (queryWords.length === 0) return null;
+
+  let score = 0;
+  const ranges = new Map();
+  for (const queryWord of queryWords) {
+    let best = null;
+    entries.forEach((entry) => {
+      entry.words.forEach(({ word, start }) => {
+        const match = matchWord(queryWord, word);
+        if (!match) return;
+        const weighted = match.score * entry.weight;
+        if (!best || weighted > best.score) {
+          best = {
+            score: weighted,
+            entry,
+            from: start + match.from,
+            to: start + match.to,
+          };
+        }
+      });
+    });
+    if (!best) return null;
+
+    score += best.score;
+    if (!ranges.has(best.entry)) ranges.set(best.entry, []);
+    const { positions, text } = best.entry;
+    ranges
+      .get(best.entry)
+      .push([
+        positions[best.from],
+        best.to < positions.length ? positions[best.to] : text.length,
+      ]);
+  }
+
+  const phraseEntry = entries.find(
+    (entry) => queryWords.length > 1 && entry.phrase.includes(phrase),
+  );
+  if (phraseEntry) score += PHRASE_BONUS * phraseEntry.weight;
+
+  const highlights = [...ranges.entries()].map(([entry, list]) => ({
+    key: entry.key,
+    text: entry.text,
+    ranges: list.sort((a, b) => a[0] - b[0]),
+  }));
+  return { score, highlights };
+}
+
+/**
+ * Searches the catalog.
+ * @param {Map<string, Array<Object>>} index - Index from {@link createSearchIndex}.
+ * @param {string} query - The query as typed.
+ * @returns {Map<string, Object>|null} The matching exams by id, with their
+ *   `score` and `highlights`; null if the query is empty.
+ */
+export function searchExams(index, query) {
+  if (!normalizeText(query)) return null;
+  const results = new Map();
+  index.forEach((entries, id) => {
+    const result = matchEntries(entries, query);
+    if (result) results.set(id, result);
+  });
+  return results;
+}
+
+/**
+ * Splits a text into highlighted and plain parts.
+ * @param {string} text - The text.
+ * @param {Array<Array<number>>} ranges - The [start, end) ranges to highlight.
+ * @returns {Array<{text: string, match: boolean}>} The parts, in order.
+ */
+export function splitHighlights(text, ranges) {
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= last) return;
+    start = Math.max(start, last);
+    if (start > last)
+      parts.push({ text: text.slice(last, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    last = end;
+  });
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+}
@@ -0,0 +1,172 @@
+import { findExam } from "./data.js";
+import { PlanManager } from "./logic.js";
+
+/**
+ * Shareable plan links.
+ *
+ * A plan is encoded in the URL fragment (`#plan=...`) as base64url JSON, so it
+ * can be shared without a backend. Mandatory activities are not encoded, since
+ * every plan recreates them. Catalog exams are stored by id, with the table
+ * appended when it was pinned (`"id~table"`); custom exams are stored as
+ * `[name, cfu, table, pinned]`. The timeline travels alongside: the years of
+ * the plan, and for each item its `[year, period]` slot (0 if unscheduled).
+ * Statuses and grades are personal and never shared.
+ */
+
+/** Fragment parameter holding the shared plan. */
+const FRAGMENT_KEY = "plan";
+
+/** Version of the payload format. */
+const PAYLOAD_VERSION = 1;
+
+/**
+ * Encodes a string as base64url (UTF-8 safe).
+ * @param {string} text - The text to encode.
+ * @returns {string} The base64url string.
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decodes a base64url string (UTF-8 safe).
+ * @param {string} encoded - The base64url string.
+ * @returns {string} The decoded text.
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Builds a shareable URL for a plan.
+ * @param {Object} snapshot - The plan to share.
+ * @param {string} snapshot.programme - The programme id.
+ * @param {string} snapshot.year - The academic year.
+ * @param {string} snapshot.curriculum - The curriculum code.
+ * @param {number} snapshot.duration - Years spanned by the timeline.
+ * @param {string} snapshot.lang - The interface language.
+ * @param {Array<Object>} snapshot.plan - The plan items.
+ * @param {string} baseUrl - The page URL, without fragment.
+ * @returns {string} The URL with the encoded plan in the fragment.
+ */
+export function buildShareUrl(
+  { programme, year, curriculum, duration, lang, plan },
+  baseUrl,
+) {
+  const shared = plan.filter((item) => item.table !== "Obbligatori");
+  const items = shared.map((item) => {
+    if (item.isCustom) {
+      return [item.name, item.cfu, item.table, item.pinned ? 1 : 0];
+    }
+    return item.pinned ? `${item.examId}~${item.table}` : item.examId;
+  });
+  const slots = shared.map((item) =>
+    item.slot ? [item.slot.year, item.slot.period] : 0,
+  );
+
+  const payload = {
+    v: PAYLOAD_VERSION,
+    p: programme,
+    y: year,
+    c: curriculum,
+    d: duration,
+    l: lang,
+    i: items,
+    s: slots,
+  };
+  return `${baseUrl}#${FRAGMENT_KEY}=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Reads a shared plan from a URL fragment.
+ * @param {string} hash - The URL fragment (e.g. `location.hash`).
+ * @returns {{found: boolean, payload: Object|null}} `found` tells whether the
+ *   fragment contains a shared plan; `payload` is null if it is malformed.
+ */
+export function readSharedPlan(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const encoded = params.get(FRAGMENT_KEY);
+  if (!encoded) return { found: false, payload: null };
+
+  try {
+    const payload = JSON.parse(fromBase64Url(encoded));
+    const isValid =
+      payload &&
+      payload.v === PAYLOAD_VERSION &&
+      typeof payload.c === "string" &&
+      Array.isArray(payload.i);
+    return { found: true, payload: isValid ? payload : null };
+  } catch (e) {
+    console.warn("Malformed shared plan", e);
+    return { found: true, payload: null };
+  }
+}
+
+/**
+ * Rebuilds a shared plan in its own PlanManager, leaving the user's plan untouched.
+ * Exams that are not in the catalog and malformed items are skipped and reported.
+ * Links made before the timeline was shared keep the default slots.
+ * @param {Object} payload - Payload from {@link readSharedPlan}.
+ * @param {Array<Object>} exams - The exam catalog.
+ * @param {Object} rules - The degree requirements and rules.
+ * @param {Function} t - Translation function.
+ * @returns {{pm: PlanManager, unknown: Array<string>}} The plan manager holding
+ *   the shared plan and the items that could not be restored.
+ */
+export function restoreSharedPlan(payload, exams, rules, t) {
+  const pm = new PlanManager(exams, rules, t);
+  const programs = rules.degree_requirements.programs;
+  const curriculum = programs[payload.c] ? payload.c : Object.keys(programs)[0];
+  if (typeof payload.y === "string" && /^\d{4}\/\d{4}$/.test(payload.y)) {
+    pm.setYear(payload.y);
+  }
+  pm.setCurriculum(curriculum);
+  if (payload.d) pm.setDuration(payload.d);
+  pm.initDefaults();
+
+  const slots = Array.isArray(payload.s) ? payload.s : null;
+  const schedule = (id, index) => {
+    if (!slots) return;
+    const slot = Array.isArray(slots[index]) ? slots[index] : [null, null];
+    pm.scheduleExam(id, slot[0], slot[1]);
+  };
+
+  const unknown = [];
+  payload.i.forEach((entry, index) => {
+    if (Array.isArray(entry)) {
+      const [name, cfu, table, pinned] = entry;
+      if (typeof name !== "string" || !(parseInt(cfu) > 0)) {
+        unknown.push(String(name));
+        return;
+      }
+      const id = pm.addCustomExam(name, cfu);
+      if (pinned) pm.moveExam(id, table);
+      schedule(id, index);
+      return;
+    }
+
+    const [examId, table] = String(entry).split("~");
+    const exam = findExam(exams, examId);
+    if (!exam) {
+      unknown.push(examId);
+      return;
+    }
+    if (!pm.addExam(exam)) {
+      unknown.push(exam.name);
+      return;
+    }
+    const item = pm.plan.find((p) => p.examId === exam.id);
+    if (table) pm.moveExam(item.id, table);
+    schedule(item.id, index);
+  });
+
+  return { pm, unknown };
+}
@@ -0,0 +1,209 @@
+/**
+ * Global, order-independent assignment of plan items to tables.
+ *
+ * The solver explores every admissible placement of the items (curriculum
+ * tables, then "Facoltativi", then "Fuori Piano") and keeps the one that
+ * satisfies the largest number of requirements with the fewest credits left
+ * out of plan. Items are visited in a canonical order and ties are broken by
+ * table priority, so the same set of exams always yields the same result,
+ * regardless of the order in which they were added.
+ */
+
+/**
+ * Sorts the items in a canonical order, independent of insertion order.
+ * @param {Array<Object>} items - Items to sort.
+ * @returns {Array<Object>} A sorted copy of the items.
+ */
+function canonicalOrder(items) {
+  return [...items].sort(
+    (a, b) => a.key.localeCompare(b.key) || a.id.localeCompare(b.id),
+  );
+}
+
+/**
+ * Checks whether the plan already reached its total credits.
+ * @param {Object<string, number>} fill - Credits currently in each table.
+ * @param {Object} constraints - See {@link solveAssignment}.
+ * @returns {boolean} True if no further credits count towards the degree.
+ */
+function isPlanFull(fill, constraints) {
+  const total = Object.values(fill).reduce((sum, cfu) => sum + cfu, 0);
+  return total >= constraints.totalLimit;
+}
+
+/**
+ * Checks whether an item may still enter a curriculum table.
+ * A table accepts items while it is below its own minimum, or while one of
+ * the sum constraints it belongs to (e.g. B + C) is still unmet, as long as
+ * neither the table maximum nor the plan total credits are exceeded.
+ * @param {string} table - The curriculum table.
+ * @param {number} cfu - Credits of the item.
+ * @param {Object<string, number>} fill - Credits currently in each table.
+ * @param {Object} constraints - See {@link solveAssignment}.
+ * @returns {boolean} True if the table has room.
+ */
+function canEnter(table, cfu, fill, constraints) {
+  if (isPlanFull(fill, constraints)) return false;
+  const max = constraints.maxima[table];
+  if (max !== undefined && (fill[table] || 0) + cfu > max) return false;
+  if ((fill[table] || 0) < (constraints.limits[table] || 0)) return true;
+  return constraints.sums.some(
+    (s) =>
+      s.tables.includes(table) &&
+      s.tables.reduce((sum, t) => sum + (fill[t] || 0), 0) < s.min,
+  );
+}
+
+/**
+ * Counts the requirements satisfied by a final table filling.
+ * @param {Object<string, number>} fill - Credits in each table.
+ * @param {Object} constraints - See {@link solveAssignment}.
+ * @returns {number} Number of satisfied requirements.
+ */
+function countMet(fill, constraints) {
+  let met = 0;
+  for (const [table, min] of Object.entries(constraints.limits)) {
+    if ((fill[table] || 0) >= min) met++;
+  }
+  constraints.sums.forEach((s) => {
+    if (s.tables.reduce((sum, t) => sum + (fill[t] || 0), 0) >= s.min) met++;
+  });
+  if ((fill["Facoltativi"] || 0) >= constraints.freeLimit) met++;
+  return met;
+}
+
+/**
+ * Lists the tables an item may be placed in, given the current filling,
+ * in priority order.
+ * @param {Object} item - The item to place.
+ * @param {Object<string, number>} fill - Credits currently in each table.
+ * @param {Object} constraints - See {@link solveAssignment}.
+ * @returns {Array<string>} Candidate tables.
+ */
+function candidateTables(item, fill, constraints) {
+  const candidates = item.allowed.filter((t) =>
+    canEnter(t, item.cfu, fill, constraints),
+  );
+  const freeRoom = (fill["Facoltativi"] || 0) < constraints.freeLimit;
+  if (freeRoom && !isPlanFull(fill, constraints)) {
+    candidates.push("Facoltativi");
+  }
+  candidates.push("Fuori Piano");
+  return candidates;
+}
+
+/**
+ * Describes why an item was placed in a table, given the filling of the
+ * tables right before its placement.
+ * @param {Object} item - The placed item.
+ * @param {string} table - The chosen table.
+ * @param {Object<string, number>} fill - Credits in each table before placement.
+ * @param {Object} constraints - See {@link solveAssignment}.
+ * @returns {Object} The placement decision.
+ */
+function describePlacement(item, table, fill, constraints) {
+  const enterable = item.allowed.filter((t) =>
+    canEnter(t, item.cfu, fill, constraints),
+  );
+  const inCurriculum = item.allowed.includes(table);
+  const overOwnMin =
+    inCurriculum && (fill[table] || 0) >= (constraints.limits[table] || 0);
+  return {
+    table,
+    allowed: item.allowed,
+    full: item.allowed.filter((t) => !enterable.includes(t)),
+    skipped: inCurriculum ? [] : enterable,
+    sumRule: overOwnMin
+      ? constraints.sums.find((s) => s.tables.includes(table)) || null
+      : null,
+    freeFull: (fill["Facoltativi"] || 0) >= constraints.freeLimit,
+    planFull: isPlanFull(fill, constraints),
+  };
+}
+
+/**
+ * Returns the table filling after placing an item.
+ * Credits out of plan are not tracked, as no requirement depends on them.
+ * @param {Object<string, number>} fill - Credits currently in each table.
+ * @param {string} table - The table receiving the item.
+ * @param {number} cfu - Credits of the item.
+ * @returns {Object<string, number>} The new filling.
+ */
+function place(fill, table, cfu) {
+  if (table === "Fuori Piano") return fill;
+  return { ...fill, [table]: (fill[table] || 0) + cfu };
+}
+
+/**
+ * Finds the optimal assignment of items to tables.
+ *
+ * The best assignment is the one that meets the most requirements (table
+ * minimums, sum constraints and the free-choice budget); among those, the one
+ * with the fewest credits in "Fuori Piano"; among those, the first one in
+ * table priority order.
+ *
+ * @param {Array<{id: string, key: string, cfu: number, allowed: Array<string>}>} items -
+ *   Items to place. `key` is a stable sort key (e.g. the exam id) and
+ *   `allowed` lists the curriculum tables of the item in priority order.
+ * @param {Object} constraints - Requirements of the curriculum.
+ * @param {Object<string, number>} constraints.limits - Minimum credits per curriculum table.
+ * @param {Object<string, number>} constraints.maxima - Maximum credits per curriculum table, if any.
+ * @param {Array<{tables: Array<string>, min: number}>} constraints.sums - Minimum credits over groups of tables.
+ * @param {number} constraints.freeLimit - Credits available in "Facoltativi".
+ * @param {number} constraints.totalLimit - Credits of the whole plan; once
+ *   reached, further items go out of plan.
+ * @param {Array<{table: string, cfu: number}>} [fixed=[]] - Items whose table
+ *   is already decided (e.g. mandatory or pinned by the user). They are not
+ *   moved, but their credits count towards the requirements.
+ * @returns {Map<string, Object>} Map from item id to its placement decision:
+ *   the assigned `table`, plus the `allowed` and `full` curriculum tables, the
+ *   tables `skipped` in favour of other exams, the `sumRule` that let the item
+ *   exceed its table minimum, and whether "Facoltativi" (`freeFull`) or the
+ *   whole plan (`planFull`) had no room left.
+ */
+export function solveAssignment(items, constraints, fixed = []) {
+  const ordered = canonicalOrder(items);
+  const memo = new Map();
+  const initialFill = fixed.reduce((f, p) => place(f, p.table, p.cfu), {});
+
+  const best = (index, fill) => {
+    if (index === ordered.length) {
+      return { met: countMet(fill, constraints), out: 0, table: null };
+    }
+
+    const key =
+      index +
+      "|" +
+      Object.keys(fill)
+        .sort()
+        .map((t) => t + ":" + fill[t])
+        .join(",");
+    if (memo.has(key)) return memo.get(key);
+
+    const item = ordered[index];
+    let result = null;
+    for (const table of candidateTables(item, fill, constraints)) {
+      const sub = best(index + 1, place(fill, table, item.cfu));
+      const out = sub.out + (table === "Fuori Piano" ? item.cfu : 0);
+      if (
+        !result ||
+        sub.met > result.met ||
+        (sub.met === result.met && out < result.out)
+      ) {
+        result = { met: sub.met, out, table };
+      }
+    }
+
+    memo.set(key, result);
+    return result;
+  };
+
+  const assignment = new Map();
+  let fill = initialFill;
+  ordered.forEach((item, index) => {
+    const { table } = best(index, fill);
+    assignment.set(item.id, describePlacement(item, table, fill, constraints));
+    fill = place(fill, table, item.cfu);
+  });
+  return assignment;
+}
@@ -0,0 +1,218 @@
+import { createProgress } from "./progress.js";
+
+/**
+ * Local Storage persistence of the study plans.
+ *
+ * Every programme stores its own state under `studyPlanState:<programme id>`:
+ * the list of named plan scenarios and the one currently active, tagged with
+ * the schema version so that older states can be migrated.
+ */
+
+/** Local Storage key used before programmes and scenarios existed. */
+const LEGACY_KEY = "studyPlanState";
+
+/** Local Storage key remembering the last selected programme. */
+const LAST_PROGRAMME_KEY = "studyPlanProgramme";
+
+/** Local Storage key of the exam matrix filters. */
+const FILTERS_KEY = "studyPlanFilters";
+
+/**
+ * Gets the Local Storage key holding the state of a programme.
+ * @param {string} programmeId - The programme id.
+ * @returns {string} The storage key.
+ */
+function storageKey(programmeId) {
+  return `${LEGACY_KEY}:${programmeId}`;
+}
+
+/**
+ * Gets the id of the last selected programme.
+ * @returns {string|null} The programme id, or null if none was saved.
+ */
+export function loadLastProgramme() {
+  return localStorage.getItem(LAST_PROGRAMME_KEY);
+}
+
+/**
+ * Remembers the selected programme for the next visit.
+ * @param {string} programmeId - The programme id.
+ */
+export function saveLastProgramme(programmeId) {
+  localStorage.setItem(LAST_PROGRAMME_KEY, programmeId);
+}
+
+/** Version of the saved state schema, stored with the state. */
+export const STATE_VERSION = 3;
+
+/**
+ * Migrations of the saved state, keyed by the version they upgrade from.
+ * Each one returns the state in the next version.
+ *
+ * - 1: a single plan (`{year, curriculum, plan}`), saved before scenarios existed.
+ * - 2: named scenarios (`{activeScenario, scenarios}`).
+ * - 3: plan items with their timeline `slot` and their progress (`status`,
+ *   `grade`, `honors`, `date`). Version 2 items are given no slot, which
+ *   places them in the default term of their exam, and the planned status.
+ */
+const MIGRATIONS = {
+  1: (saved, { defaultName }) => {
+    const scenario = createScenario(defaultName, saved);
+    return { version: 2, activeScenario: scenario.id, scenarios: [scenario] };
+  },
+  2: (saved) => ({
+    ...saved,
+    version: 3,
+    scenarios: (Array.isArray(saved.scenarios) ? saved.scenarios : []).map(
+      (scenario) => ({
+        ...scenario,
+        plan: Array.isArray(scenario && scenario.plan)
+          ? scenario.plan.map((item) =>
+              item && typeof item === "object"
+                ? { slot: null, ...createProgress(), ...item }
+                : item,
+            )
+          : [],
+      }),
+    ),
+  }),
+};
+
+/**
+ * Detects the schema version of a saved state.
+ * States saved before versioning are recognized by their shape.
+ * @param {Object} saved - The parsed saved state.
+ * @returns {number} The schema version.
+ */
+function detectVersion(saved) {
+  if (Number.isInteger(saved.version)) return saved.version;
+  return Array.isArray(saved.scenarios) ? 2 : 1;
+}
+
+/**
+ * Upgrades a saved state to the current schema version.
+ * @param {Object} saved - The parsed saved state.
+ * @param {Object} options - Options passed to the migrations.
+ * @returns {Object} The state in the current version.
+ * @throws {Error} If the state was saved by a newer version of the app, or
+ *   its version is unknown.
+ */
+function migrateState(saved, options) {
+  let version = detectVersion(saved);
+  if (version > STATE_VERSION) {
+    throw new Error(`Unsupported saved state version ${version}`);
+  }
+  let migrated = saved;
+  while (version < STATE_VERSION) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`Unknown saved state version ${version}`);
+    }
+    migrated = MIGRATIONS[version](migrated, options);
+    version = detectVersion(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Gets the saved filters of the exam matrix.
+ * @returns {Object|null} The raw filters, or null if none were saved.
+ */
+export function loadFilters() {
+  try {
+    return JSON.parse(localStorage.getItem(FILTERS_KEY));
+  } catch (e) {
+    console.warn("Malformed saved filters", e);
+    return null;
+  }
+}
+
+/**
+ * Saves the filters of the exam matrix.
+ * @param {Object} filters - The filters.
+ */
+export function saveFilters(filters) {
+  localStorage.setItem(FILTERS_KEY, JSON.stringify(filters));
+}
+
+/**
+ * Gets the saved state of a programme as stored, without reading it.
+ * @param {string} programmeId - The programme id.
+ * @param {boolean} readLegacy - Whether to fall back to the pre-programme key.
+ * @returns {string|null} The stored text, or null if none.
+ */
+export function loadRawProgrammeState(programmeId, readLegacy) {
+  let raw = localStorage.getItem(storageKey(programmeId));
+  if (!raw && readLegacy) raw = localStorage.getItem(LEGACY_KEY);
+  return raw || null;
+}
+
+/**
+ * Loads the saved state of a programme, migrating it to the current schema.
+ * Malformed scenarios are discarded; the plan items are checked against the
+ * catalog later, when a scenario is loaded.
+ * @param {string} programmeId - The programme id.
+ * @param {Object} options - Loading options.
+ * @param {boolean} options.readLegacy - Whether to fall back to the pre-programme key.
+ * @param {string} options.defaultName - Name given to a wrapped legacy plan.
+ * @returns {{activeScenario: string, scenarios: Array<Object>}|null} The saved state, or null if none.
+ * @throws {Error} If the stored state cannot be read: it is corrupt or was
+ *   saved by a newer version of the app. It must then not be overwritten.
+ */
+export function loadProgrammeState(programmeId, { readLegacy, defaultName }) {
+  const raw = loadRawProgrammeState(programmeId, readLegacy);
+  if (!raw) return null;
+
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== "object") {
+    throw new Error("Malformed saved state");
+  }
+
+  const migrated = migrateState(parsed, { defaultName });
+  const scenarios = (migrated.scenarios || [])
+    .filter((s) => s && typeof s.id === "string")
+    .map((s) => ({
+      ...s,
+      name: typeof s.name === "string" && s.name ? s.name : defaultName,
+      plan: Array.isArray(s.plan) ? s.plan : [],
+    }));
+  if (scenarios.length === 0) return null;
+
+  const active = scenarios.some((s) => s.id === migrated.activeScenario);
+  return {
+    activeScenario: active ? migrated.activeScenario : scenarios[0].id,
+    scenarios,
+  };
+}
+
+/**
+ * Saves the state of a programme.
+ * @param {string} programmeId - The programme id.
+ * @param {{activeScenario: string, scenarios: Array<Object>}} programmeState - State to persist.
+ */
+export function saveProgrammeState(programmeId, programmeState) {
+  localStorage.setItem(
+    storageKey(programmeId),
+    JSON.stringify({ version: STATE_VERSION, ...programmeState }),
+  );
+}
+
+/**
+ * Creates a named plan scenario.
+ * @param {string} name - Display name of the scenario.
+ * @param {Object} snapshot - Plan snapshot.
+ * @param {string} snapshot.year - The academic year.
+ * @param {string} snapshot.curriculum - The curriculum code.
+ * @param {Array<Object>} snapshot.plan - The plan items.
+ * @param {number} [snapshot.duration] - Years spanned by the timeline.
+ * @returns {Object} The scenario.
+ */
+export function createScenario(name, { year, curriculum, plan, duration }) {
+  return {
+    id: "scenario-" + Date.now() + "-" + Math.random().toString(36).slice(2, 7),
+    name,
+    year,
+    curriculum,
+    duration,
+    plan: JSON.parse(JSON.stringify(plan || [])),
+  };
+}
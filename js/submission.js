@@ -0,0 +1,113 @@
+import { getCourseCode } from "./data.js";
+
+/**
+ * Checklist for the official submission of the plan.
+ *
+ * The official online form asks for every activity by its UNIMI code, which is
+ * the last part of the course page link in the catalog (e.g.
+ * `https://www.unimi.it/it/ugov/of/af20260000fba-20`). The checklist lists the
+ * codes table by table, in the order of the form, and reports the exams that
+ * must be entered by hand: external exams, and exams whose link is missing or
+ * does not carry a code. Mandatory activities are filled in by the office and
+ * are left out.
+ */
+
+/** Tables of the plan the student does not submit. */
+const SKIPPED_TABLES = ["Obbligatori"];
+
+/**
+ * Ranks a plan item by its place in the timeline; unscheduled items last.
+ * @param {Object} item - The plan item.
+ * @returns {number} The rank.
+ */
+function slotRank(item) {
+  return item.slot ? item.slot.year * 10 + item.slot.period : Infinity;
+}
+
+/**
+ * Builds the submission checklist of a plan.
+ * @param {PlanManager} pm - The plan manager holding the plan.
+ * @param {Function} labelOf - Gives the official name of a table.
+ * @returns {{groups: Array<{table: string, label: string, credits: number,
+ *   rows: Array<Object>}>, issues: {custom: Array<Object>, missing: Array<Object>,
+ *   malformed: Array<Object>}}} The tables in the order of the form, each with
+ *   its rows `{id, name, cfu, code, link, slot, issue}` sorted by year and
+ *   term (`issue` is null, "custom", "missing" or "malformed"), and the rows
+ *   to enter by hand, by issue.
+ */
+export function buildSubmission(pm, labelOf) {
+  const issues = { custom: [], missing: [], malformed: [] };
+
+  const groups = pm
+    .getTableOrder()
+    .filter((table) => !SKIPPED_TABLES.includes(table))
+    .map((table) => {
+      const items = pm.plan.filter((item) => item.table === table);
+      const rows = items
+        .map((item, index) => ({ item, index }))
+        .sort(
+          (a, b) => slotRank(a.item) - slotRank(b.item) || a.index - b.index,
+        )
+        .map(({ item }) => {
+          const exam = item.examId
+            ? pm.allExams.find((e) => e.id === item.examId)
+            : null;
+          const link = exam ? exam.link || "" : "";
+          const code = getCourseCode(link);
+          let issue = null;
+          if (!exam) issue = "custom";
+          else if (!link) issue = "missing";
+          else if (!code) issue = "malformed";
+
+          const row = {
+            id: item.id,
+            name: item.name,
+            cfu: item.cfu,
+            code,
+            link,
+            slot: item.slot
+              ? pm.getAcademicYear(item.slot.year) +
+                " · " +
+                pm.t("q" + item.slot.period)
+              : "",
+            issue,
+          };
+          if (issue) issues[issue].push(row);
+          return row;
+        });
+      return {
+        table,
+        label: labelOf(table),
+        credits: items.reduce((sum, item) => sum + item.cfu, 0),
+        rows,
+      };
+    })
+    .filter((group) => group.rows.length > 0);
+
+  return { groups, issues };
+}
+
+/**
+ * Formats the checklist as plain text, one line per exam.
+ * @param {Object} submission - Checklist from {@link buildSubmission}.
+ * @param {Function} t - Translation function.
+ * @returns {string} The checklist.
+ */
+export function formatChecklist(submission, t) {
+  return submission.groups
+    .map((group) =>
+      [
+        `${group.label} (${group.credits} CFU)`,
+        ...group.rows.map((row) =>
+          [
+            "[ ]",
+            row.code || "—",
+            row.name,
+            row.cfu + " CFU",
+            ...(row.issue ? [t("submission_issue_" + row.issue)] : []),
+          ].join("  "),
+        ),
+      ].join("\n"),
+    )
+    .join("\n\n");
+}
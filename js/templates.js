@@ -0,0 +1,128 @@
+import { findExam } from "./data.js";
+import { PlanManager } from "./logic.js";
+
+/**
+ * Curated track templates.
+ *
+ * A template is a starter plan built around a pillar of the catalog, listing
+ * the exams of each curriculum by id (see `templates.json`). Catalogs change
+ * from year to year, so a template exam may not be offered in the years of
+ * the plan: the student can then pick a substitute from the same subpillar,
+ * or leave it out.
+ */
+
+/**
+ * Lists the templates that have a plan for a curriculum.
+ * @param {Array<Object>} templates - The templates of the programme.
+ * @param {string} curriculum - The curriculum code.
+ * @returns {Array<Object>} The matching templates.
+ */
+export function listTemplates(templates, curriculum) {
+  return (templates || []).filter(
+    (template) =>
+      template.exams &&
+      Array.isArray(template.exams[curriculum]) &&
+      template.exams[curriculum].length > 0,
+  );
+}
+
+/**
+ * Lists the exams that may replace an unavailable template exam: exams of the
+ * same subpillar offered in the years of the plan and not in the template.
+ * Exams filling the same curriculum tables come first.
+ * @param {PlanManager} pm - The plan manager, for the year and curriculum.
+ * @param {Object} exam - The unavailable exam.
+ * @param {Array<string>} templateIds - Ids of the exams of the template.
+ * @returns {Array<Object>} The substitutes, best first.
+ */
+function findSubstitutes(pm, exam, templateIds) {
+  const tables = pm.getAllowedTables(exam).join(",");
+  return pm.allExams
+    .filter(
+      (other) =>
+        other.subpillar === exam.subpillar &&
+        !templateIds.includes(other.id) &&
+        pm.isExamAvailable(other) &&
+        pm.getAllowedTables(other).length > 0,
+    )
+    .sort(
+      (a, b) =>
+        (pm.getAllowedTables(b).join(",") === tables) -
+          (pm.getAllowedTables(a).join(",") === tables) ||
+        a.name.localeCompare(b.name),
+    );
+}
+
+/**
+ * Describes a template for the gallery.
+ * @param {Object} template - The template.
+ * @param {PlanManager} pm - The plan manager, for the year and curriculum.
+ * @returns {{template: Object, entries: Array<{id: string, exam: Object|null,
+ *   available: boolean, substitutes: Array<Object>}>, credits: number}} The
+ *   exams of the template, with the substitutes of the unavailable ones, and
+ *   the credits of the available exams. `exam` is null for ids missing from
+ *   the catalog.
+ */
+export function describeTemplate(template, pm) {
+  const ids = template.exams[pm.curriculum] || [];
+  const exams = ids.map((id) => findExam(pm.allExams, id));
+  const templateIds = exams.filter((exam) => exam).map((exam) => exam.id);
+
+  const entries = ids.map((id, i) => {
+    const exam = exams[i] || null;
+    const available = !!exam && pm.isExamAvailable(exam);
+    return {
+      id,
+      exam,
+      available,
+      substitutes:
+        exam && !available ? findSubstitutes(pm, exam, templateIds) : [],
+    };
+  });
+  const credits = entries
+    .filter((entry) => entry.available)
+    .reduce((sum, entry) => sum + entry.exam.cfu, 0);
+  return { template, entries, credits };
+}
+
+/**
+ * Builds the plan of a template in its own PlanManager, adding every exam
+ * through {@link PlanManager#addExam}. Unavailable exams are replaced by the
+ * chosen substitute, or left out.
+ * @param {Object} description - Description from {@link describeTemplate}.
+ * @param {Object<string, string>} substitutions - Template exam id → id of
+ *   its substitute ("" to leave it out).
+ * @param {Object} context - The catalog and settings of the new plan.
+ * @param {Array<Object>} context.exams - The exam catalog.
+ * @param {Object} context.rules - The degree requirements and rules.
+ * @param {Function} context.t - Translation function.
+ * @param {string} context.year - The academic year.
+ * @param {string} context.curriculum - The curriculum code.
+ * @param {number} context.duration - The years spanned by the timeline.
+ * @returns {{plan: Array<Object>, report: Object, skipped: Array<string>}}
+ *   The plan items, its validation report and the names of the exams left out.
+ */
+export function buildTemplatePlan(
+  description,
+  substitutions,
+  { exams, rules, t, year, curriculum, duration },
+) {
+  const pm = new PlanManager(exams, rules, t);
+  pm.setYear(year);
+  pm.setCurriculum(curriculum);
+  pm.setDuration(duration);
+  pm.initDefaults();
+
+  const skipped = [];
+  description.entries.forEach((entry) => {
+    let exam = entry.available ? entry.exam : null;
+    if (!exam && substitutions[entry.id]) {
+      exam = findExam(exams, substitutions[entry.id]) || null;
+    }
+    if (!exam || !pm.addExam(exam)) {
+      skipped.push(entry.exam ? entry.exam.name : entry.id);
+    }
+  });
+
+  return { plan: pm.plan, report: pm.validate(), skipped };
+}
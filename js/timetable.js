@@ -0,0 +1,111 @@
+import { parseAcademicYear } from "./availability.js";
+
+/**
+ * Weekly lesson timetables.
+ *
+ * The optional timetable file of a programme lists the lessons of each exam
+ * per academic year:
+ *
+ *     { "2025/2026": { "<exam id>": [{ "day": 1, "start": "09:30", "end": "11:30" }] } }
+ *
+ * `day` is the ISO weekday (1 = Monday … 7 = Sunday). An exam without a
+ * timetable for an academic year uses the latest earlier one, since lessons
+ * usually keep their slots from one year to the next.
+ */
+
+/** Weekdays shown in the weekly calendar. */
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Converts a time of day to minutes after midnight.
+ * @param {string} time - The time, e.g. "09:30".
+ * @returns {number|null} The minutes, or null if malformed.
+ */
+export function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((time || "").trim());
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes after midnight as a time of day, e.g. 570 → "09:30".
+ * @param {number} minutes - The minutes.
+ * @returns {string} The time.
+ */
+export function formatTime(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
+
+/**
+ * Normalizes the lessons of an exam, dropping malformed entries.
+ * @param {Array<Object>} lessons - Lessons from the timetable file.
+ * @returns {Array<{day: number, start: number, end: number}>} Lessons with times in minutes.
+ */
+export function normalizeLessons(lessons) {
+  if (!Array.isArray(lessons)) return [];
+  return lessons
+    .map((lesson) => ({
+      day: parseInt(lesson && lesson.day),
+      start: toMinutes(lesson && lesson.start),
+      end: toMinutes(lesson && lesson.end),
+    }))
+    .filter(
+      (l) =>
+        l.day >= 1 &&
+        l.day <= 7 &&
+        l.start !== null &&
+        l.end !== null &&
+        l.start < l.end,
+    );
+}
+
+/**
+ * Gets the weekly lessons of an exam in an academic year.
+ * @param {Object} exam - The exam, with the `lessons` read from the timetable.
+ * @param {string} academicYear - The academic year (e.g., "2026/27").
+ * @returns {Array<Object>} The lessons, empty if the exam has no timetable.
+ */
+export function getLessons(exam, academicYear) {
+  if (!exam || !exam.lessons) return [];
+  const start = parseAcademicYear(academicYear);
+  const years = Object.keys(exam.lessons)
+    .map(Number)
+    .filter((year) => year <= start)
+    .sort((a, b) => b - a);
+  return years.length > 0 ? exam.lessons[years[0]] : [];
+}
+
+/**
+ * Finds the overlapping lessons among several courses taught in the same period.
+ * @param {Array<{key: *, lessons: Array<Object>}>} courses - The courses with their lessons.
+ * @returns {Array<{a: *, b: *, day: number, start: number, end: number}>}
+ *   One entry per pair of courses whose lessons overlap, with the first overlap.
+ */
+export function findOverlaps(courses) {
+  const overlaps = [];
+  courses.forEach((first, i) => {
+    courses.slice(i + 1).forEach((second) => {
+      for (const a of first.lessons) {
+        const b = second.lessons.find(
+          (l) => l.day === a.day && l.start < a.end && a.start < l.end,
+        );
+        if (b) {
+          overlaps.push({
+            a: first.key,
+            b: second.key,
+            day: a.day,
+            start: Math.max(a.start, b.start),
+            end: Math.min(a.end, b.end),
+          });
+          return;
+        }
+      }
+    });
+  });
+  return overlaps;
+}
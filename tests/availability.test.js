@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseAcademicYear,
+  parseAvailability,
+  isOfferedIn,
+  nextOffering,
+} from "../js/availability.js";
+
+/**
+ * Lists the years of a range in which an expression is offered.
+ * @param {string} text - The availability expression.
+ * @param {number} from - First starting year.
+ * @param {number} to - Last starting year.
+ * @returns {Array<number>} The starting years offered.
+ */
+function offered(text, from = 2024, to = 2031) {
+  const expr = parseAvailability(text);
+  const years = [];
+  for (let year = from; year <= to; year++) {
+    if (isOfferedIn(expr, year)) years.push(year);
+  }
+  return years;
+}
+
+test("parseAcademicYear reads every year format", () => {
+  assert.equal(parseAcademicYear("2026/2027"), 2026);
+  assert.equal(parseAcademicYear("2028/29"), 2028);
+  assert.equal(parseAcademicYear("2026-27"), 2026);
+  assert.equal(parseAcademicYear(" 2026 "), 2026);
+  assert.equal(parseAcademicYear("2099/00"), 2099);
+  assert.equal(parseAcademicYear("2026/28"), null);
+  assert.equal(parseAcademicYear("2026/2028"), null);
+  assert.equal(parseAcademicYear("26/27"), null);
+  assert.equal(parseAcademicYear(""), null);
+  assert.equal(parseAcademicYear(undefined), null);
+});
+
+test("parseAvailability reads the clauses", () => {
+  assert.deepEqual(
+    parseAvailability(
+      "From 2026/2027; Until 2029/30; Suspended in 2027/28, 2028",
+    ),
+    {
+      valid: true,
+      disabled: false,
+      from: 2026,
+      until: 2029,
+      suspended: [2027, 2028],
+      parity: null,
+    },
+  );
+  assert.equal(parseAvailability("Biennial (Even)").parity, 0);
+  assert.equal(parseAvailability("biennial (odd)").parity, 1);
+  assert.deepEqual(parseAvailability("Biennial from 2025/26"), {
+    valid: true,
+    disabled: false,
+    from: 2025,
+    until: null,
+    suspended: [],
+    parity: 1,
+  });
+  assert.equal(parseAvailability("disabled").disabled, true);
+});
+
+test("parseAvailability flags malformed clauses", () => {
+  assert.equal(parseAvailability("Sometimes").valid, false);
+  assert.equal(parseAvailability("From 2026/28").valid, false);
+  assert.equal(parseAvailability("Until").valid, false);
+  assert.equal(parseAvailability("Suspended in 2027/28, soon").valid, false);
+  assert.equal(parseAvailability("Biennial (Weekly)").valid, false);
+  assert.equal(parseAvailability("enabled; Nope").valid, false);
+});
+
+test("empty expressions are always offered", () => {
+  assert.deepEqual(
+    offered(""),
+    [2024, 2025, 2026, 2027, 2028, 2029, 2030, 2031],
+  );
+  assert.deepEqual(offered(undefined, 2026, 2027), [2026, 2027]);
+  assert.deepEqual(offered(" ; ", 2026, 2027), [2026, 2027]);
+  assert.deepEqual(offered("enabled", 2026, 2027), [2026, 2027]);
+});
+
+test("malformed expressions are treated as always offered", () => {
+  assert.deepEqual(offered("Next year", 2026, 2027), [2026, 2027]);
+});
+
+test("isOfferedIn applies every clause", () => {
+  assert.deepEqual(offered("disabled"), []);
+  assert.deepEqual(offered("From 2028/29"), [2028, 2029, 2030, 2031]);
+  assert.deepEqual(offered("Until 2026/2027"), [2024, 2025, 2026]);
+  assert.deepEqual(
+    offered("From 2025/26; Until 2028/29"),
+    [2025, 2026, 2027, 2028],
+  );
+  assert.deepEqual(
+    offered("Suspended in 2026/2027, 2028/29"),
+    [2024, 2025, 2027, 2029, 2030, 2031],
+  );
+  assert.deepEqual(offered("Biennial (Even)"), [2024, 2026, 2028, 2030]);
+  assert.deepEqual(offered("Biennial (Odd)"), [2025, 2027, 2029, 2031]);
+  assert.deepEqual(offered("Biennial from 2027/28"), [2027, 2029, 2031]);
+  assert.deepEqual(
+    offered("Biennial (Even); Suspended in 2028/29"),
+    [2024, 2026, 2030],
+  );
+});
+
+test("nextOffering finds the next year offered", () => {
+  const next = (text, year) => nextOffering(parseAvailability(text), year);
+  assert.equal(next("", 2026), 2026);
+  assert.equal(next("From 2028/29", 2025), 2028);
+  assert.equal(next("Suspended in 2026/27", 2026), 2027);
+  assert.equal(next("Biennial (Even)", 2027), 2028);
+  assert.equal(next("Biennial from 2029/30", 2026), 2029);
+  assert.equal(next("Until 2025/26", 2026), null);
+  assert.equal(next("disabled", 2026), null);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareScenarios } from "../js/compare.js";
+import { createPlan, exams, rules, t } from "./helpers.js";
+
+test("compareScenarios keeps the years of longer plans", () => {
+  const pm = createPlan("F94");
+  pm.setDuration(3);
+  const exam = pm.allExams.find((e) => pm.isExamAvailable(e));
+  pm.addExam(exam);
+  assert.equal(pm.scheduleExam(exam.id, 3), true);
+
+  const scenario = {
+    name: "Tre anni",
+    year: pm.year,
+    curriculum: pm.curriculum,
+    duration: pm.duration,
+    plan: pm.plan,
+  };
+  const { columns } = compareScenarios([scenario], exams, rules, t);
+  const item = columns[0].plan.find((p) => p.examId === exam.id);
+  assert.equal(item.slot.year, 3);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPreferences, findCompletions } from "../js/completion.js";
+import { createPlan } from "./helpers.js";
+
+const PRIVACY = [
+  "privacy-and-data-protection",
+  "privatezza-e-protezione-dei-dati",
+];
+
+test("completions never hold two equivalent exams", () => {
+  const pm = createPlan("FBA");
+  const only = (table) =>
+    pm.allExams.filter(
+      (exam) =>
+        !PRIVACY.includes(exam.id) &&
+        pm.isExamAvailable(exam) &&
+        pm.getAllowedTables(exam).join(",") === table,
+    );
+  only("1")
+    .slice(0, 2)
+    .forEach((exam) => pm.addExam(exam));
+  const tableTwo = only("2");
+  tableTwo.slice(0, 9).forEach((exam) => pm.addExam(exam));
+
+  // Only the two privacy exams and one more exam of table 2 are left
+  const keep = [...PRIVACY, tableTwo[9].id];
+  const preferences = createPreferences();
+  preferences.exclude = pm.allExams
+    .filter((exam) => !keep.includes(exam.id))
+    .map((exam) => exam.id);
+
+  const proposals = findCompletions(pm, preferences, 5);
+  assert.ok(proposals.length > 0);
+  proposals.forEach((proposal) => {
+    const ids = proposal.exams.map((e) => e.id);
+    assert.ok(!PRIVACY.every((id) => ids.includes(id)));
+    assert.equal(proposal.report.isValid, true);
+    ids.forEach((id) => assert.ok(proposal.placements[id]));
+  });
+});
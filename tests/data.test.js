@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCourseCode } from "../js/data.js";
+
+test("getCourseCode reads the activity code of a course link", () => {
+  const base = "https://www.unimi.it/it/ugov/of/";
+  assert.equal(getCourseCode(base + "af20260000fba-20"), "af20260000fba-20");
+  assert.equal(getCourseCode(base + "AF20260000FBA-20/"), "af20260000fba-20");
+  assert.equal(
+    getCourseCode(base + "af20260000fba-20?lang=en"),
+    "af20260000fba-20",
+  );
+  assert.equal(
+    getCourseCode(base + "af20260000fba-20#info"),
+    "af20260000fba-20",
+  );
+  assert.equal(
+    getCourseCode(
+      "https://www.unimi.it/it/corsi/insegnamenti-dei-corsi-di-laurea/2026/metodi-formali",
+    ),
+    null,
+  );
+  assert.equal(getCourseCode(base + "af20260000fba-20/extra"), null);
+  assert.equal(getCourseCode(""), null);
+  assert.equal(getCourseCode(undefined), null);
+});
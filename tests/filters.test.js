@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createFilters,
+  decodeFilters,
+  encodeFilters,
+  getFacetCounts,
+  matchesFilters,
+} from "../js/filters.js";
+import { exams } from "./helpers.js";
+
+/** Plan-independent context: nothing in plan, everything offered. */
+const context = {
+  isInPlan: () => false,
+  isAvailableNow: () => true,
+  getAllowedTables: () => [],
+};
+
+test("the ordinamento facet splits curricula listed with commas", () => {
+  const counts = getFacetCounts(exams, createFilters(), context);
+  const values = counts.ordinamento.map((entry) => entry.value);
+  assert.ok(values.length > 0);
+  values.forEach((value) => assert.match(value, /^[A-Za-z0-9]+$/));
+
+  const exam = exams.find((e) => e.ordinamento.some((v) => v.includes(",")));
+  assert.ok(exam, "the catalog has a comma-separated row");
+  ["F94", "FBA"].forEach((curriculum) => {
+    const filters = { ...createFilters(), ordinamento: [curriculum] };
+    assert.equal(matchesFilters(exam, filters, context), true);
+  });
+});
+
+test("filters survive the URL fragment", () => {
+  const filters = {
+    ...createFilters(),
+    language: ["ENG"],
+    ordinamento: ["F94", "FBA"],
+  };
+  assert.deepEqual(decodeFilters("#" + encodeFilters(filters)), filters);
+});
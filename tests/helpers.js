@@ -0,0 +1,44 @@
+import { readFileSync } from "node:fs";
+import { applyRelations, parseExams } from "../js/data.js";
+import { PlanManager } from "../js/logic.js";
+
+/**
+ * Shared fixtures of the tests: the catalog and rules shipped with the app.
+ */
+
+const root = new URL("../", import.meta.url);
+
+/** The exam catalog, with the course relations. */
+export const exams = applyRelations(
+  parseExams(readFileSync(new URL("exams.csv", root), "utf8")),
+  JSON.parse(readFileSync(new URL("relations.json", root), "utf8")),
+);
+
+/** The degree requirements and rules. */
+export const rules = JSON.parse(
+  readFileSync(new URL("rules.json", root), "utf8"),
+);
+
+/**
+ * Translation stub: the key, followed by its parameters if any.
+ * @param {string} key - The message key.
+ * @param {Object} [params] - The message parameters.
+ * @returns {string} The "translated" message.
+ */
+export function t(key, params) {
+  return params ? `${key} ${JSON.stringify(params)}` : key;
+}
+
+/**
+ * Creates a plan manager with the mandatory activities only.
+ * @param {string} curriculum - The curriculum code.
+ * @param {string} [year] - The academic year.
+ * @returns {PlanManager} The plan manager.
+ */
+export function createPlan(curriculum, year = "2025/2026") {
+  const pm = new PlanManager(exams, rules, t);
+  pm.setYear(year);
+  pm.setCurriculum(curriculum);
+  pm.initDefaults();
+  return pm;
+}
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyTimetable } from "../js/data.js";
+import { buildICS, normalizeCalendar } from "../js/ical.js";
+import { PlanManager } from "../js/logic.js";
+import { exams, rules, t } from "./helpers.js";
+
+const calendar = normalizeCalendar({
+  "2026/2027": {
+    estimated: true,
+    1: { start: "2026-09-28", end: "2026-12-18" },
+    2: { start: "2027-01-11", end: "2027-03-26" },
+    3: { start: "2027-04-06", end: "2027-06-11" },
+  },
+});
+const now = new Date("2026-09-01T10:00:00Z");
+
+/**
+ * Creates a plan for 2026/2027 with one catalog exam holding two weekly lessons.
+ * @returns {{pm: PlanManager, exam: Object}} The plan and the exam.
+ */
+function createTimedPlan() {
+  const catalog = exams.map((exam) => ({ ...exam }));
+  const exam = catalog.find((e) => e.period === 1);
+  applyTimetable(catalog, {
+    "2026/2027": {
+      [exam.id]: [
+        { day: 1, start: "09:30", end: "11:30" },
+        { day: 3, start: "09:30", end: "11:30" },
+      ],
+    },
+  });
+  const pm = new PlanManager(catalog, rules, t);
+  pm.setYear("2026/2027");
+  pm.setCurriculum("F94");
+  pm.initDefaults();
+  pm.addExam(exam);
+  pm.scheduleExam(exam.id, 1);
+  return { pm, exam };
+}
+
+/**
+ * Unfolds the content lines of an iCalendar file.
+ * @param {string} ics - The file content.
+ * @returns {Array<string>} The content lines.
+ */
+const unfold = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+
+test("weekly lessons become one series until the end of the period", () => {
+  const { pm, exam } = createTimedPlan();
+  const { ics, count } = buildICS(pm, calendar, { name: "Plan", now });
+  assert.equal(count, 1);
+  const lines = unfold(ics);
+  assert.ok(lines.includes("SUMMARY:" + exam.name.replace(/,/g, "\\,")));
+  // 2026-09-28 is a Monday, the first lesson day of the period
+  assert.ok(lines.includes("DTSTART;TZID=Europe/Rome:20260928T093000"));
+  assert.ok(lines.includes("DTEND;TZID=Europe/Rome:20260928T113000"));
+  assert.ok(
+    lines.includes("RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261219T000000Z"),
+  );
+});
+
+test("the file defines the time zone of the lessons", () => {
+  const { pm } = createTimedPlan();
+  const lines = unfold(buildICS(pm, calendar, { name: "Plan", now }).ics);
+  const begin = lines.indexOf("BEGIN:VTIMEZONE");
+  assert.ok(begin > 0 && begin < lines.indexOf("BEGIN:VEVENT"));
+  assert.equal(lines[begin + 1], "TZID:Europe/Rome");
+  assert.ok(lines.includes("RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU"));
+  assert.ok(lines.includes("RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU"));
+});
+
+test("long lines are folded at 75 octets", () => {
+  const { pm } = createTimedPlan();
+  const id = pm.addCustomExam("Seminario è ".repeat(12).trim(), 3);
+  pm.scheduleExam(id, 1, 2);
+  const { ics } = buildICS(pm, calendar, { name: "Plan", now });
+  const encoder = new TextEncoder();
+  ics
+    .split("\r\n")
+    .forEach((line) => assert.ok(encoder.encode(line).length <= 75, line));
+  assert.ok(
+    unfold(ics).includes("SUMMARY:" + "Seminario è ".repeat(12).trim()),
+  );
+  // Courses without lessons span their whole period
+  assert.ok(unfold(ics).includes("DTSTART;VALUE=DATE:20270111"));
+  assert.ok(unfold(ics).includes("DTEND;VALUE=DATE:20270327"));
+});
+
+test("the export reports the courses it leaves out and estimated dates", () => {
+  const { pm } = createTimedPlan();
+  const id = pm.addCustomExam("Erasmus course", 6);
+  pm.scheduleExam(id, null);
+  const late = pm.addCustomExam("Late course", 3);
+  pm.setDuration(2);
+  pm.scheduleExam(late, 2, 1);
+
+  const result = buildICS(pm, calendar, { name: "Plan", now });
+  assert.equal(result.count, 1);
+  assert.deepEqual(result.unscheduled, ["Erasmus course"]);
+  assert.deepEqual(result.missing, ["Late course"]);
+  assert.equal(result.estimated, true);
+});
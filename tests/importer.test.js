@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exams, rules } from "./helpers.js";
+
+/** Minimal Vue global, for the translations loaded by the importer. */
+globalThis.Vue = { ref: (value) => ({ value }) };
+
+const { createBackup, previewImport } = await import("../js/importer.js");
+
+const exam = exams.find((e) => e.cfu > 0);
+const backup = (programme) =>
+  createBackup({
+    programme,
+    name: "Plan",
+    year: "2025/2026",
+    curriculum: "F94",
+    duration: 2,
+    plan: [{ examId: exam.id, name: exam.name, cfu: exam.cfu, table: "" }],
+  });
+
+test("the preview of a backup names the programme it belongs to", () => {
+  const preview = previewImport(
+    backup("fisica-lm"),
+    "plan.json",
+    exams,
+    rules,
+    "F94",
+  );
+  assert.equal(preview.programme, "fisica-lm");
+  assert.equal(preview.matched.length, 1);
+});
+
+test("backups without a programme leave it unknown", () => {
+  const preview = previewImport(
+    backup(undefined),
+    "plan.json",
+    exams,
+    rules,
+    "F94",
+  );
+  assert.equal(preview.programme, null);
+});
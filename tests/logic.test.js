@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PlanManager } from "../js/logic.js";
+import { createPlan, exams, rules, t } from "./helpers.js";
+
+/**
+ * Adds available exams until the plan is valid.
+ * @param {PlanManager} pm - The plan manager.
+ */
+function completePlan(pm) {
+  for (const exam of pm.allExams) {
+    if (pm.validate().isValid) return;
+    if (pm.isExamAvailable(exam)) pm.addExam(exam);
+  }
+}
+
+test("validate() leaves the placements of a plan with pins untouched", () => {
+  const pm = createPlan("F94");
+  completePlan(pm);
+  assert.equal(pm.validate().isValid, true);
+
+  // Pin out of the plan an exam the plan cannot do without
+  const item = pm.plan.find((p) => {
+    if (!["A", "B", "C"].includes(p.table)) return false;
+    const sandbox = pm.clone();
+    sandbox.moveExam(p.id, "Fuori Piano");
+    return !sandbox.validate().isValid;
+  });
+  assert.equal(pm.moveExam(item.id, "Fuori Piano"), true);
+  const tables = pm.plan.map((p) => p.table);
+  const placements = structuredClone(pm.placements);
+
+  const report = pm.validate();
+  assert.equal(report.isValid, false);
+  assert.ok(report.warnings.some((w) => w.startsWith("pins_block_valid_plan")));
+
+  assert.deepEqual(
+    pm.plan.map((p) => p.table),
+    tables,
+  );
+  assert.deepEqual(pm.placements, placements);
+  assert.deepEqual(pm.explainPlacement(item.id), [
+    'trace_pinned {"table":"Fuori Piano"}',
+  ]);
+});
+
+test("validate() accepts exams without relations", () => {
+  const bare = exams.map(({ alternatives, ...exam }) => exam);
+  const pm = new PlanManager(bare, rules, t);
+  pm.setYear("2025/2026");
+  pm.setCurriculum("F94");
+  pm.initDefaults();
+  completePlan(pm);
+  assert.doesNotThrow(() => pm.validate());
+});
+
+test("restorePlan keeps external exams out of the curriculum tables", () => {
+  const pm = createPlan("F94");
+  const report = pm.restorePlan([
+    {
+      id: "custom-1",
+      name: "Erasmus course",
+      cfu: 6,
+      table: "A",
+      isCustom: true,
+      pinned: true,
+    },
+  ]);
+  const item = pm.plan.find((p) => p.id === "custom-1");
+  assert.equal(item.table, "Facoltativi");
+  assert.equal(item.pinned, false);
+  assert.deepEqual(report.reassigned, [
+    { name: "Erasmus course", from: "A", to: "Facoltativi" },
+  ]);
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatGrade,
+  getGrading,
+  normalizeProgress,
+  parseGrade,
+} from "../js/progress.js";
+import { createPlan, rules } from "./helpers.js";
+
+const grading = getGrading(rules);
+
+test("the average weighs grades by credits and counts honors", () => {
+  const pm = createPlan("F94");
+  const a = pm.addCustomExam("Course A", 9);
+  const b = pm.addCustomExam("Course B", 3);
+  pm.setProgress(a, { status: "passed", grade: 27 });
+  pm.setProgress(b, { status: "passed", grade: 30, honors: true });
+
+  const progress = pm.getProgress();
+  assert.equal(progress.gradedCredits, 12);
+  assert.equal(progress.average, 27.75);
+  assert.equal(progress.startingScore, 101.75);
+  assert.equal(progress.scale, 110);
+});
+
+test("exams out of plan count neither in the credits nor in the average", () => {
+  const pm = createPlan("F94");
+  const a = pm.addCustomExam("Course A", 6);
+  const extra = pm.addCustomExam("Extra course", 6);
+  pm.moveExam(extra, "Fuori Piano");
+  pm.setProgress(a, { status: "passed", grade: 30 });
+  pm.setProgress(extra, { status: "passed", grade: 18 });
+
+  const progress = pm.getProgress();
+  assert.equal(progress.earnedCredits, 6);
+  assert.equal(progress.passedCount, 2);
+  assert.equal(progress.average, 30);
+  assert.equal(progress.startingScore, 110);
+});
+
+test("the average stays empty until a grade is recorded", () => {
+  const pm = createPlan("F94");
+  const a = pm.addCustomExam("Course A", 6);
+  pm.setProgress(a, { status: "attending" });
+  const progress = pm.getProgress();
+  assert.equal(progress.average, null);
+  assert.equal(progress.startingScore, null);
+  assert.equal(progress.attendingCredits, 6);
+});
+
+test("normalizeProgress keeps grades of passed exams only", () => {
+  assert.deepEqual(
+    normalizeProgress({ status: "attending", grade: 28 }, grading),
+    { status: "attending", grade: null, honors: false, date: null },
+  );
+  assert.deepEqual(
+    normalizeProgress(
+      { status: "passed", grade: "28", honors: true, date: "2026-02-10" },
+      grading,
+    ),
+    { status: "passed", grade: 28, honors: false, date: "2026-02-10" },
+  );
+  assert.equal(
+    normalizeProgress({ status: "passed", grade: 31 }, grading).grade,
+    null,
+  );
+  assert.equal(
+    normalizeProgress({ status: "passed", grade: 25 }, grading, false).grade,
+    null,
+  );
+  assert.equal(
+    normalizeProgress({ status: "done" }, grading).status,
+    "planned",
+  );
+});
+
+test("grades are formatted and parsed with honors", () => {
+  assert.equal(formatGrade({ grade: 30, honors: true }), "30L");
+  assert.equal(formatGrade({ grade: null }), "");
+  assert.deepEqual(parseGrade("30 e lode"), { grade: 30, honors: true });
+  assert.deepEqual(parseGrade(" 28 "), { grade: 28, honors: false });
+  assert.deepEqual(parseGrade("n/a"), { grade: null, honors: false });
+});
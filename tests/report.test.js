@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildReport, renderReport } from "../js/report.js";
+import { createPlan, t } from "./helpers.js";
+
+/**
+ * Renders the report of a plan.
+ * @param {PlanManager} pm - The plan.
+ * @param {Object} [context] - Labels overriding the defaults.
+ * @returns {string} The HTML document.
+ */
+function render(pm, context = {}) {
+  const report = buildReport(pm, {
+    programme: "Informatica",
+    scenario: "Plan",
+    curriculum: "F94",
+    generatedAt: new Date("2026-09-01T10:00:00Z"),
+    ...context,
+  });
+  return renderReport(report, t, "en");
+}
+
+test("user texts are escaped in the report", () => {
+  const pm = createPlan("F94");
+  pm.addCustomExam('<img src=x onerror="alert(1)"> & co', 6);
+  const html = render(pm, { scenario: "<script>alert(1)</script>" });
+
+  assert.ok(!html.includes("<script>"));
+  assert.ok(!html.includes("<img"));
+  assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+  assert.ok(
+    html.includes("&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; co"),
+  );
+});
+
+test("course links are escaped inside attributes", () => {
+  const pm = createPlan("F94");
+  const exam = pm.allExams.find((e) => pm.isExamAvailable(e) && e.link);
+  const catalog = pm.allExams.map((e) =>
+    e === exam ? { ...e, link: 'https://example.org/?a=1&b="2"' } : e,
+  );
+  pm.allExams = catalog;
+  pm.addExam(catalog.find((e) => e.id === exam.id));
+
+  const html = render(pm);
+  assert.ok(
+    html.includes('href="https://example.org/?a=1&amp;b=&quot;2&quot;"'),
+  );
+});
+
+test("the progress section appears once an exam is passed", () => {
+  const pm = createPlan("F94");
+  const id = pm.addCustomExam("Course A", 6);
+  assert.equal(buildReport(pm, { generatedAt: new Date() }).progress, null);
+  pm.setProgress(id, { status: "passed", grade: 30, honors: true });
+  const report = buildReport(pm, { generatedAt: new Date() });
+  assert.equal(report.progress.average, 30);
+  assert.ok(render(pm).includes("30L"));
+});
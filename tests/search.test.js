@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSearchIndex,
+  normalizeText,
+  searchExams,
+  splitHighlights,
+} from "../js/search.js";
+
+const exams = [
+  {
+    id: "algo",
+    name: "Algoritmi e complessita'",
+    altNames: ["Algorithms and complexity"],
+    subpillar: "Theory",
+    ssd: "INF/01",
+  },
+  {
+    id: "ml",
+    name: "Machine learning",
+    altNames: [],
+    subpillar: "AI",
+    ssd: "INF/01",
+  },
+  {
+    id: "html",
+    name: "Web design with HTML",
+    altNames: [],
+    subpillar: "Web",
+    ssd: "ING-INF/05",
+  },
+  {
+    id: "chain",
+    name: "Blockchain and distributed ledgers",
+    altNames: [],
+    subpillar: "Security",
+    ssd: "INF/01",
+  },
+];
+const index = createSearchIndex(exams);
+
+/**
+ * Searches the fixtures.
+ * @param {string} query - The query.
+ * @returns {Array<string>} The ids of the matching exams, best first.
+ */
+function search(query) {
+  const results = searchExams(index, query);
+  return [...results.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .map(([id]) => id);
+}
+
+test("normalizeText folds accents, case and punctuation", () => {
+  assert.equal(normalizeText("  Complessità, INF/01 "), "complessita inf 01");
+  assert.deepEqual(search("COMPLESSITÀ"), ["algo"]);
+  assert.deepEqual(search("inf 01"), ["algo", "ml", "chain"]);
+});
+
+test("empty queries return no results", () => {
+  assert.equal(searchExams(index, "  ?! "), null);
+});
+
+test("every query word must match", () => {
+  assert.deepEqual(search("machine learning"), ["ml"]);
+  assert.deepEqual(search("machine web"), []);
+});
+
+test("typos are tolerated in longer words only", () => {
+  assert.deepEqual(search("algoritmo"), ["algo"]);
+  assert.deepEqual(search("compelssita"), ["algo"]);
+  assert.deepEqual(search("lerning"), ["ml"]);
+  assert.deepEqual(search("webb"), ["html"]);
+  assert.deepEqual(search("wbe"), []);
+});
+
+test("short queries match inside words, below prefixes", () => {
+  // "ml" starts no word of "html"'s title but lies inside "HTML"
+  assert.deepEqual(search("ml"), ["html"]);
+  const results = searchExams(index, "ai");
+  assert.ok(results.has("chain"));
+  assert.ok(results.get("ml").score > results.get("chain").score);
+});
+
+test("whole words rank above prefixes, and names above other fields", () => {
+  const results = searchExams(index, "learning");
+  const prefix = searchExams(index, "learn");
+  assert.ok(results.get("ml").score > prefix.get("ml").score);
+  const byName = searchExams(index, "algoritmi");
+  const byAlias = searchExams(index, "algorithms");
+  assert.ok(byName.get("algo").score > byAlias.get("algo").score);
+});
+
+test("phrases in order rank above scattered words", () => {
+  const inOrder = searchExams(index, "distributed ledgers");
+  const reversed = searchExams(index, "ledgers distributed");
+  assert.ok(inOrder.get("chain").score > reversed.get("chain").score);
+});
+
+test("highlights map back to the original text", () => {
+  const [highlight] = searchExams(index, "complessita").get("algo").highlights;
+  assert.equal(highlight.key, "name");
+  assert.deepEqual(splitHighlights(highlight.text, highlight.ranges), [
+    { text: "Algoritmi e ", match: false },
+    { text: "complessita", match: true },
+    { text: "'", match: false },
+  ]);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildShareUrl,
+  readSharedPlan,
+  restoreSharedPlan,
+} from "../js/share.js";
+import { createPlan, exams, rules, t } from "./helpers.js";
+
+/**
+ * Shares a plan and opens the link again.
+ * @param {PlanManager} pm - The plan to share.
+ * @returns {{pm: PlanManager, unknown: Array<string>}} The restored plan.
+ */
+function roundTrip(pm) {
+  const url = buildShareUrl(
+    {
+      programme: "informatica-lm",
+      year: pm.year,
+      curriculum: pm.curriculum,
+      duration: pm.duration,
+      lang: "en",
+      plan: pm.plan,
+    },
+    "https://example.org/",
+  );
+  const { found, payload } = readSharedPlan(new URL(url).hash);
+  assert.equal(found, true);
+  return restoreSharedPlan(payload, exams, rules, t);
+}
+
+/**
+ * Summarizes a plan item for comparison.
+ * @param {Object} item - The plan item.
+ * @returns {Array} Its name, credits, table, pin and slot.
+ */
+const summary = (item) => [
+  item.name,
+  item.cfu,
+  item.table,
+  item.pinned,
+  item.slot,
+];
+
+test("a shared plan opens with the same exams, tables and timeline", () => {
+  const pm = createPlan("FBA");
+  pm.setDuration(3);
+  const available = pm.allExams.filter((e) => pm.isExamAvailable(e));
+  available.slice(0, 4).forEach((exam) => pm.addExam(exam));
+  const [first, second, third] = pm.plan.filter(
+    (p) => p.table !== "Obbligatori",
+  );
+  pm.moveExam(first.id, "Fuori Piano");
+  pm.scheduleExam(second.id, 3);
+  pm.scheduleExam(third.id, null);
+  const custom = pm.addCustomExam("Erasmus course", 6);
+  pm.scheduleExam(custom, 2, 3);
+
+  const { pm: restored, unknown } = roundTrip(pm);
+  assert.deepEqual(unknown, []);
+  assert.equal(restored.year, pm.year);
+  assert.equal(restored.curriculum, pm.curriculum);
+  assert.equal(restored.duration, 3);
+  assert.deepEqual(restored.plan.map(summary), pm.plan.map(summary));
+});
+
+test("statuses and grades are not shared", () => {
+  const pm = createPlan("F94");
+  const exam = pm.allExams.find((e) => pm.isExamAvailable(e));
+  pm.addExam(exam);
+  pm.setProgress(exam.id, { status: "passed", grade: 30, honors: true });
+
+  const { pm: restored } = roundTrip(pm);
+  const item = restored.plan.find((p) => p.examId === exam.id);
+  assert.equal(item.status, "planned");
+  assert.equal(item.grade, null);
+});
+
+test("malformed links are reported", () => {
+  assert.deepEqual(readSharedPlan("#plan=%%%"), {
+    found: true,
+    payload: null,
+  });
+  assert.deepEqual(readSharedPlan("#other=1"), {
+    found: false,
+    payload: null,
+  });
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solveAssignment } from "../js/solver.js";
+
+const constraints = {
+  limits: { A: 12, B: 12 },
+  maxima: {},
+  sums: [],
+  freeLimit: 12,
+  totalLimit: 36,
+};
+
+const exam = (id, allowed) => ({ id, key: id, cfu: 6, allowed });
+
+test("surplus exams go out of plan once pins reach the total credits", () => {
+  // Pinned exams fill table A well beyond its minimum
+  const fixed = [{ table: "A", cfu: 30 }];
+  const items = [exam("y", ["A"]), exam("z", ["A"])];
+
+  const assignment = solveAssignment(items, constraints, fixed);
+  assert.equal(assignment.get("y").table, "Facoltativi");
+  assert.equal(assignment.get("z").table, "Fuori Piano");
+  assert.equal(assignment.get("z").planFull, true);
+
+  // Without the limit the last exam would push the plan past its total
+  const unlimited = solveAssignment(
+    items,
+    { ...constraints, totalLimit: Infinity },
+    fixed,
+  );
+  assert.equal(unlimited.get("z").table, "Facoltativi");
+  assert.equal(unlimited.get("z").planFull, false);
+});
+
+test("a full plan keeps tables below their minimum closed", () => {
+  const fixed = [{ table: "A", cfu: 36 }];
+  const assignment = solveAssignment([exam("x", ["B"])], constraints, fixed);
+  const placement = assignment.get("x");
+  assert.equal(placement.table, "Fuori Piano");
+  assert.deepEqual(placement.full, ["B"]);
+  assert.equal(placement.planFull, true);
+});
+
+test("the total credits do not change plans below the limit", () => {
+  const items = [
+    exam("a1", ["A"]),
+    exam("a2", ["A"]),
+    exam("b1", ["B"]),
+    exam("b2", ["A", "B"]),
+    exam("f1", ["A"]),
+  ];
+  const limited = solveAssignment(items, constraints);
+  const unlimited = solveAssignment(items, {
+    ...constraints,
+    totalLimit: Infinity,
+  });
+  items.forEach((item) =>
+    assert.equal(limited.get(item.id).table, unlimited.get(item.id).table),
+  );
+  assert.equal(limited.get("f1").table, "Facoltativi");
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+/** In-memory Local Storage. */
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+};
+
+const { STATE_VERSION, loadProgrammeState, saveProgrammeState } =
+  await import("../js/storage.js");
+
+const KEY = "studyPlanState:informatica-lm";
+const options = { readLegacy: true, defaultName: "Plan" };
+
+beforeEach(() => store.clear());
+
+test("states of version 2 get the timeline and progress fields", () => {
+  store.set(
+    KEY,
+    JSON.stringify({
+      version: 2,
+      activeScenario: "s1",
+      scenarios: [
+        {
+          id: "s1",
+          name: "AI",
+          year: "2025/2026",
+          curriculum: "FBA",
+          plan: [
+            {
+              id: "artificial-intelligence",
+              examId: "artificial-intelligence",
+              table: "2",
+            },
+          ],
+        },
+      ],
+    }),
+  );
+  const state = loadProgrammeState("informatica-lm", options);
+  assert.equal(state.activeScenario, "s1");
+  assert.deepEqual(state.scenarios[0].plan[0], {
+    id: "artificial-intelligence",
+    examId: "artificial-intelligence",
+    table: "2",
+    slot: null,
+    status: "planned",
+    grade: null,
+    honors: false,
+    date: null,
+  });
+});
+
+test("legacy single plans are wrapped in a scenario", () => {
+  store.set(
+    "studyPlanState",
+    JSON.stringify({
+      year: "2025/2026",
+      curriculum: "F94",
+      plan: [{ id: "x", status: "passed" }],
+    }),
+  );
+  const state = loadProgrammeState("informatica-lm", options);
+  assert.equal(state.scenarios.length, 1);
+  assert.equal(state.scenarios[0].name, "Plan");
+  assert.equal(state.scenarios[0].curriculum, "F94");
+  assert.equal(state.scenarios[0].plan[0].status, "passed");
+});
+
+test("saved states carry the current version", () => {
+  saveProgrammeState("informatica-lm", { activeScenario: "s1", scenarios: [] });
+  assert.equal(JSON.parse(store.get(KEY)).version, STATE_VERSION);
+});
+
+test("unreadable states throw and are left in storage", () => {
+  const newer = JSON.stringify({ version: STATE_VERSION + 1, scenarios: [] });
+  for (const raw of [newer, "{broken", "null", '{"version": 0}']) {
+    store.set(KEY, raw);
+    assert.throws(() => loadProgrammeState("informatica-lm", options));
+    assert.equal(store.get(KEY), raw);
+  }
+});
+
+test("no saved state gives null", () => {
+  assert.equal(loadProgrammeState("informatica-lm", options), null);
+});
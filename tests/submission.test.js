@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PlanManager } from "../js/logic.js";
+import { buildSubmission, formatChecklist } from "../js/submission.js";
+import { exams, rules, t } from "./helpers.js";
+
+/**
+ * Creates a plan with three catalog exams: one with a course code in its
+ * link, one without a link and one whose link carries no code.
+ * @returns {{pm: PlanManager, coded: Object, unlinked: Object, malformed: Object}}
+ *   The plan and the three exams.
+ */
+function createSubmissionPlan() {
+  const pm = new PlanManager(exams, rules, t);
+  pm.setYear("2025/2026");
+  pm.setCurriculum("F94");
+  const [coded, unlinked, malformed] = exams
+    .filter((e) => /\/of\/af/.test(e.link) && pm.isExamAvailable(e))
+    .slice(0, 3);
+  pm.allExams = exams.map((e) => {
+    if (e === unlinked) return { ...e, link: "" };
+    if (e === malformed) return { ...e, link: "https://www.unimi.it/it/corsi" };
+    return e;
+  });
+  pm.initDefaults();
+  [coded, unlinked, malformed].forEach((exam) =>
+    pm.addExam(pm.allExams.find((e) => e.id === exam.id)),
+  );
+  return { pm, coded, unlinked, malformed };
+}
+
+test("the checklist reports the exams to enter by hand", () => {
+  const { pm, coded, unlinked, malformed } = createSubmissionPlan();
+  const custom = pm.addCustomExam("Erasmus course", 6);
+
+  const { groups, issues } = buildSubmission(
+    pm,
+    (table) => "Official " + table,
+  );
+  const rows = groups.flatMap((group) => group.rows);
+  const row = (id) => rows.find((r) => r.id === id);
+
+  assert.equal(row(coded.id).issue, null);
+  assert.match(row(coded.id).code, /^af[0-9a-z]+-\d+$/);
+  assert.equal(row(unlinked.id).issue, "missing");
+  assert.equal(row(malformed.id).issue, "malformed");
+  assert.equal(row(custom).issue, "custom");
+  assert.deepEqual(
+    issues.missing.map((r) => r.id),
+    [unlinked.id],
+  );
+  assert.deepEqual(
+    issues.malformed.map((r) => r.id),
+    [malformed.id],
+  );
+  assert.deepEqual(
+    issues.custom.map((r) => r.id),
+    [custom],
+  );
+});
+
+test("mandatory activities are left out and tables keep the form order", () => {
+  const { pm } = createSubmissionPlan();
+  const { groups } = buildSubmission(pm, (table) => table);
+  assert.ok(groups.every((group) => group.table !== "Obbligatori"));
+  const order = pm.getTableOrder();
+  const indexes = groups.map((group) => order.indexOf(group.table));
+  assert.deepEqual(
+    indexes,
+    [...indexes].sort((a, b) => a - b),
+  );
+  groups.forEach((group) =>
+    assert.equal(
+      group.credits,
+      group.rows.reduce((sum, r) => sum + r.cfu, 0),
+    ),
+  );
+});
+
+test("rows are sorted by year and term, unscheduled last", () => {
+  const { pm, coded, unlinked } = createSubmissionPlan();
+  pm.moveExam(coded.id, "Fuori Piano");
+  pm.moveExam(unlinked.id, "Fuori Piano");
+  pm.setDuration(2);
+  pm.scheduleExam(coded.id, 2);
+  pm.scheduleExam(unlinked.id, 1);
+  const late = pm.addCustomExam("Seminar", 3);
+  pm.moveExam(late, "Fuori Piano");
+
+  const group = buildSubmission(pm, (table) => table).groups.find(
+    (g) => g.table === "Fuori Piano",
+  );
+  assert.deepEqual(
+    group.rows.map((r) => r.id),
+    [unlinked.id, coded.id, late],
+  );
+});
+
+test("the plain-text checklist marks the rows with issues", () => {
+  const { pm, coded, unlinked } = createSubmissionPlan();
+  const text = formatChecklist(
+    buildSubmission(pm, (table) => "Official " + table),
+    t,
+  );
+  const line = (exam) => text.split("\n").find((l) => l.includes(exam.name));
+  assert.ok(line(coded).startsWith("[ ]  af"));
+  assert.ok(line(unlinked).startsWith("[ ]  —"));
+  assert.ok(line(unlinked).endsWith("submission_issue_missing"));
+  assert.match(text, /^Official \S+ \(\d+ CFU\)$/m);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { findExam } from "../js/data.js";
+import {
+  buildTemplatePlan,
+  describeTemplate,
+  listTemplates,
+} from "../js/templates.js";
+import { createPlan, exams, rules, t } from "./helpers.js";
+
+const { templates } = JSON.parse(
+  readFileSync(new URL("../templates.json", import.meta.url), "utf8"),
+);
+
+test("the shipped templates only name exams of the catalog", () => {
+  templates.forEach((template) =>
+    Object.entries(template.exams).forEach(([curriculum, ids]) => {
+      assert.ok(rules.degree_requirements.programs[curriculum], curriculum);
+      ids.forEach((id) => assert.ok(findExam(exams, id), id));
+    }),
+  );
+});
+
+test("listTemplates keeps the templates with a plan for the curriculum", () => {
+  const list = [
+    { id: "a", exams: { F94: ["x"] } },
+    { id: "b", exams: { F94: [] } },
+    { id: "c", exams: { FBA: ["y"] } },
+    { id: "d" },
+  ];
+  assert.deepEqual(
+    listTemplates(list, "F94").map((template) => template.id),
+    ["a"],
+  );
+  assert.deepEqual(listTemplates(undefined, "F94"), []);
+});
+
+test("unavailable template exams get substitutes from their subpillar", () => {
+  const pm = createPlan("FBA");
+  const suspended = exams.find(
+    (e) => e.subpillar === "Security" && !pm.isExamAvailable(e),
+  );
+  const available = exams.find(
+    (e) => e.subpillar === "Security" && pm.isExamAvailable(e),
+  );
+  const template = {
+    id: "security",
+    exams: { FBA: [available.id, suspended.id, "missing-exam"] },
+  };
+
+  const description = describeTemplate(template, pm);
+  const [first, second, third] = description.entries;
+  assert.equal(first.available, true);
+  assert.equal(second.available, false);
+  assert.ok(second.substitutes.length > 0);
+  second.substitutes.forEach((exam) => {
+    assert.equal(exam.subpillar, "Security");
+    assert.ok(pm.isExamAvailable(exam));
+    assert.notEqual(exam.id, available.id);
+  });
+  assert.equal(third.exam, null);
+  assert.equal(description.credits, available.cfu);
+
+  const context = {
+    exams,
+    rules,
+    t,
+    year: pm.year,
+    curriculum: "FBA",
+    duration: 2,
+  };
+  const substitute = second.substitutes[0];
+  const built = buildTemplatePlan(
+    description,
+    { [suspended.id]: substitute.id },
+    context,
+  );
+  const ids = built.plan.map((item) => item.examId);
+  assert.ok(ids.includes(available.id));
+  assert.ok(ids.includes(substitute.id));
+  assert.ok(!ids.includes(suspended.id));
+  assert.deepEqual(built.skipped, ["missing-exam"]);
+
+  const leftOut = buildTemplatePlan(description, {}, context);
+  assert.deepEqual(leftOut.skipped, [suspended.name, "missing-exam"]);
+});
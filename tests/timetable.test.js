@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { applyTimetable } from "../js/data.js";
+import { findOverlaps, getLessons, normalizeLessons } from "../js/timetable.js";
+import { createPlan } from "./helpers.js";
+
+/**
+ * Builds lessons from compact entries.
+ * @param {...Array} entries - `[day, start, end]` triples.
+ * @returns {Array<Object>} The normalized lessons.
+ */
+function lessons(...entries) {
+  return normalizeLessons(
+    entries.map(([day, start, end]) => ({ day, start, end })),
+  );
+}
+
+test("normalizeLessons drops malformed lessons", () => {
+  assert.deepEqual(
+    normalizeLessons([
+      { day: 1, start: "09:30", end: "11:30" },
+      { day: 9, start: "09:30", end: "11:30" },
+      { day: 2, start: "x" },
+      { day: 3, start: "12:00", end: "11:00" },
+      null,
+    ]),
+    [{ day: 1, start: 570, end: 690 }],
+  );
+  assert.deepEqual(normalizeLessons("nope"), []);
+});
+
+test("findOverlaps reports each clashing pair once", () => {
+  const overlaps = findOverlaps([
+    {
+      key: "a",
+      lessons: lessons([1, "09:30", "11:30"], [3, "14:30", "16:30"]),
+    },
+    {
+      key: "b",
+      lessons: lessons([1, "10:30", "12:30"], [3, "15:00", "16:00"]),
+    },
+    { key: "c", lessons: lessons([1, "11:30", "13:30"]) },
+    { key: "d", lessons: lessons([2, "09:30", "11:30"]) },
+  ]);
+  assert.deepEqual(overlaps, [
+    { a: "a", b: "b", day: 1, start: 630, end: 690 },
+    { a: "b", b: "c", day: 1, start: 690, end: 750 },
+  ]);
+});
+
+test("findOverlaps ignores lessons that only touch", () => {
+  assert.deepEqual(
+    findOverlaps([
+      { key: "a", lessons: lessons([1, "09:30", "11:30"]) },
+      { key: "b", lessons: lessons([1, "11:30", "13:30"]) },
+    ]),
+    [],
+  );
+});
+
+test("getLessons falls back to the latest earlier timetable", () => {
+  const exam = {
+    lessons: {
+      2025: lessons([1, "09:30", "11:30"]),
+      2027: lessons([2, "09:30", "11:30"]),
+    },
+  };
+  assert.equal(getLessons(exam, "2026/27")[0].day, 1);
+  assert.equal(getLessons(exam, "2028/2029")[0].day, 2);
+  assert.deepEqual(getLessons(exam, "2024/25"), []);
+  assert.deepEqual(getLessons({}, "2026/27"), []);
+});
+
+test("a timetable of the catalog feeds the clash check", () => {
+  const timetable = JSON.parse(
+    readFileSync(new URL("fixtures/timetable.json", import.meta.url), "utf8"),
+  );
+  const pm = createPlan("FBA", "2026/2027");
+  const exams = pm.allExams.map((exam) => ({ ...exam }));
+  applyTimetable(exams, timetable);
+  Object.values(timetable).forEach((courses) =>
+    Object.entries(courses).forEach(([id, raw]) => {
+      const exam = exams.find((e) => e.id === id);
+      assert.ok(exam, `unknown exam ${id}`);
+      assert.equal(
+        normalizeLessons(raw).length,
+        raw.length,
+        `bad lesson of ${id}`,
+      );
+    }),
+  );
+
+  const byPeriod = {};
+  exams
+    .filter((exam) => exam.lessons)
+    .forEach((exam) => {
+      byPeriod[exam.period] = byPeriod[exam.period] || [];
+      byPeriod[exam.period].push({
+        key: exam.id,
+        lessons: getLessons(exam, "2026/2027"),
+      });
+    });
+  const clashes = Object.values(byPeriod).flatMap(findOverlaps);
+  assert.ok(clashes.length > 0);
+});